@@ -774,7 +774,7 @@ class ModernDropzone {
         throw new Error('Unsupported file type for OCR.');
       }
 
-      const text = await this.performOCR(file);
+      const text = await this.performOCR(file, { lang: options.lang });
       return {
         success: true,
         fileName: file.name,
@@ -825,86 +825,120 @@ class ModernDropzone {
       return page;
     }
 
-    async performOCR(file) {
-      // Convert file to image for Tesseract
-      let image;
+    // One image per page: the file itself for images, a 2x render of each requested page for PDFs
+    async *ocrImages(file, pages) {
       if (file.type.startsWith('image/')) {
-        image = await createImageBitmap(file);
-      } else if (file.type === 'application/pdf') {
-        // For PDF, convert first page to image
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({data: arrayBuffer}).promise;
-        const page = await pdf.getPage(1);
-        const viewport = page.getViewport({scale: 2.0});
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.height = viewport.height;
-        canvas.width = viewport.width;
-        await page.render({canvasContext: context, viewport}).promise;
-        image = canvas;
-      } else {
+        yield { pageNum: 1, index: 0, total: 1, image: await createImageBitmap(file) };
+        return;
+      }
+      if (file.type !== 'application/pdf') {
         throw new Error('Unsupported file type for OCR');
       }
-
-      // Perform OCR using Tesseract.js v4 UMD version
-      console.log('Tesseract object:', Tesseract);
-
-      // Try to access the createWorker function from the global Tesseract object
-      let worker;
-
+      const arrayBuffer = await file.arrayBuffer();
+      const pdf = await pdfjsLib.getDocument({data: arrayBuffer}).promise;
       try {
-        // Try different API patterns for v4
-        if (typeof Tesseract.createWorker === 'function') {
-          worker = Tesseract.createWorker('eng');
-        } else if (Tesseract.default && typeof Tesseract.default.createWorker === 'function') {
-          worker = Tesseract.default.createWorker('eng');
-        } else {
-          throw new Error('Tesseract.createWorker not found');
+        const all = Array.from({length: pdf.numPages}, (_, i) => i + 1);
+        const pageNums = pages && pages.length ? [...new Set(pages)].filter(n => n >= 1 && n <= pdf.numPages) : all;
+        for (const [index, pageNum] of pageNums.entries()) {
+          const page = await pdf.getPage(pageNum);
+          const viewport = page.getViewport({scale: 2.0});
+          const canvas = document.createElement('canvas');
+          canvas.height = viewport.height;
+          canvas.width = viewport.width;
+          await page.render({canvasContext: canvas.getContext('2d'), viewport}).promise;
+          yield { pageNum, index, total: pageNums.length, image: canvas, viewport };
         }
+      } finally {
+        pdf.destroy();
+      }
+    }
 
-        console.log('Worker created:', worker);
-
-        if (typeof worker.load === 'function') {
-          await worker.load();
-          console.log('Worker loaded');
-          await worker.loadLanguage('eng');
-          console.log('Language loaded');
-          await worker.initialize('eng');
-          console.log('Worker initialized');
-
-          const { data: { text } } = await worker.recognize(image);
-          console.log('OCR completed, text length:', text.length);
-
-          await worker.terminate();
-          console.log('Worker terminated');
-
-          return text;
-        } else {
-          throw new Error('Worker does not have load method');
-        }
+    // lang may combine languages, e.g. 'eng+deu'
+    async createOcrWorker(lang = 'eng') {
+      const createWorker = typeof Tesseract.createWorker === 'function' ? Tesseract.createWorker
+        : Tesseract.default && typeof Tesseract.default.createWorker === 'function' ? Tesseract.default.createWorker
+        : null;
+      if (!createWorker) {
+        throw new Error('Tesseract.createWorker not found');
+      }
+      let worker = null;
+      try {
+        worker = await createWorker(ocrEngineOptions());
+        await worker.load();
+        await worker.loadLanguage(lang);
+        await worker.initialize(lang);
+        return worker;
       } catch (error) {
         console.error('OCR API error:', error);
+        // A half-started worker would otherwise stay alive; retries would pile them up
+        if (worker) worker.terminate().catch(() => {});
+        // Keep the cause: a wrong worker, core or language path shows up here as a failed fetch
+        const reason = error && error.message ? error.message : String(error);
+        throw new Error(`Could not start the OCR engine for "${lang}": ${reason}`);
+      }
+    }
 
-        // Try alternative API pattern if main one fails
-        try {
-          // Some versions use synchronous API
-          const { createWorker } = Tesseract;
-          if (createWorker) {
-            const worker = await createWorker();
-            await worker.load();
-            await worker.loadLanguage('eng');
-            await worker.initialize('eng');
-            const { data: { text } } = await worker.recognize(image);
-            await worker.terminate();
-            return text;
-          }
-        } catch (fallbackError) {
-          console.error('Fallback OCR API error:', fallbackError);
-          throw new Error('Tesseract.js OCR is not working. The loaded version may not be compatible.');
+    // Renders pages one after another and fans recognition out across the warm workers of
+    // ocrPool, keeping at most one page in flight per worker. Aborting the signal terminates
+    // the busy workers; the pages finished so far are returned with cancelled = true.
+    async recognizePages(file, { pages, signal, onProgress, lang = ocrLanguages(), preprocess = ocrPreprocessSteps() } = {}) {
+      const results = [];
+      const pending = new Set();
+      const started = performance.now();
+      try {
+        for await (const { pageNum, total, image, viewport } of this.ocrImages(file, pages)) {
+          if (signal && signal.aborted) break;
+          const prepared = preprocess.length ? preprocessOcrImage(image, preprocess) : null;
+          const job = ocrPool.recognize(prepared ? prepared.canvas : image, lang, signal).then(data => {
+            // Word boxes are in pixels of the original image; viewport maps them back to PDF space
+            const words = this.ocrWords(data);
+            if (prepared) words.forEach(w => { w.bbox = mapOcrBox(w.bbox, prepared.toSource); });
+            results.push({ pageNum, text: data.text, words, width: image.width, height: image.height, viewport });
+            if (onProgress) onProgress({ pageNum, done: results.length, total });
+          });
+          const tracked = job.finally(() => pending.delete(tracked));
+          tracked.catch(() => {}); // failures surface through race/all below
+          pending.add(tracked);
+          if (pending.size >= ocrPool.size) await Promise.race(pending);
         }
+        await Promise.all(pending);
+      } catch (error) {
+        if (!(signal && signal.aborted)) throw error;
+      }
+      results.sort((a, b) => a.pageNum - b.pageNum);
+      // Timing goes to the processing log so pooled runs can be compared with a pool size of 1
+      return { results, cancelled: Boolean(signal && signal.aborted), elapsed: performance.now() - started, workers: ocrPool.size };
+    }
 
-        throw error;
+    // Words keep the paragraph and line they belong to so page text can be rebuilt after corrections
+    ocrWords(data) {
+      const words = [];
+      (data.paragraphs || []).forEach((para, p) => para.lines.forEach((line, l) => line.words.forEach(w => {
+        words.push({ text: w.text, bbox: w.bbox, confidence: w.confidence, paragraph: p, line: l });
+      })));
+      if (!words.length) {
+        data.words.forEach(w => words.push({ text: w.text, bbox: w.bbox, confidence: w.confidence, paragraph: 0, line: 0 }));
       }
+      return words;
+    }
+
+    ocrWordsText(words) {
+      return words.reduce((text, w, i) => {
+        const prev = words[i - 1];
+        const sep = !prev ? '' : prev.paragraph !== w.paragraph ? '\n\n' : prev.line !== w.line ? '\n' : ' ';
+        return text + sep + w.text;
+      }, '');
+    }
+
+    // PDF pages are marked like the Extract Text output so both can be split the same way
+    ocrText(results, file) {
+      if (file.type !== 'application/pdf') return results.length ? results[0].text : '';
+      return results.map(r => `--- Page ${r.pageNum} ---\n${r.text.trim()}\n`).join('\n');
+    }
+
+    async performOCR(file, options = {}) {
+      const { results } = await this.recognizePages(file, options);
+      return this.ocrText(results, file);
     }
 
     async convertToFormat(file, format) {
@@ -917,6 +951,113 @@ class ModernDropzone {
   // Global batch processor instance
   const batchProcessor = new BatchProcessor();
 
+  // Pool of initialized Tesseract workers shared by the OCR tool and batch OCR jobs.
+  // Loading a worker and its language data costs seconds, so workers stay warm between
+  // pages and files; a worker left idle for idleTimeout ms is terminated.
+  class OcrWorkerPool {
+    constructor({ size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)), idleTimeout = 60000 } = {}) {
+      this.size = size;
+      this.idleTimeout = idleTimeout;
+      this.entries = []; // { worker, lang, busy, idleTimer }
+      this.waiting = []; // { lang, resolve, reject }
+    }
+
+    async acquire(lang, signal) {
+      const warm = this.entries.find(e => !e.busy && e.lang === lang);
+      if (warm) {
+        clearTimeout(warm.idleTimer);
+        warm.busy = true;
+        return warm;
+      }
+      // A free worker initialized for another language makes room for this one. It is
+      // claimed before anything is awaited so concurrent callers cannot overfill the pool.
+      let idle = null;
+      if (this.entries.length >= this.size) {
+        idle = this.entries.find(e => !e.busy);
+        if (!idle) return this.wait(lang, signal);
+        idle.busy = true;
+      }
+      const entry = { worker: null, lang, busy: true, idleTimer: null };
+      this.entries.push(entry);
+      try {
+        if (idle) await this.retire(idle);
+        entry.worker = await batchProcessor.createOcrWorker(lang);
+      } catch (error) {
+        this.entries.splice(this.entries.indexOf(entry), 1);
+        throw error;
+      }
+      return entry;
+    }
+
+    wait(lang, signal) {
+      return new Promise((resolve, reject) => {
+        const waiter = { lang, resolve, reject };
+        this.waiting.push(waiter);
+        if (signal) signal.addEventListener('abort', () => {
+          const idx = this.waiting.indexOf(waiter);
+          if (idx >= 0) {
+            this.waiting.splice(idx, 1);
+            reject(new Error('OCR cancelled'));
+          }
+        }, { once: true });
+      });
+    }
+
+    // A retired busy worker frees a slot that a queued job can fill with a fresh worker
+    serveWaiting() {
+      const next = this.waiting.shift();
+      if (next) this.acquire(next.lang).then(next.resolve, next.reject);
+    }
+
+    release(entry) {
+      entry.busy = false;
+      const next = this.waiting.shift();
+      if (next && next.lang === entry.lang) {
+        entry.busy = true;
+        next.resolve(entry);
+      } else if (next) {
+        this.retire(entry).then(() => this.acquire(next.lang)).then(next.resolve, next.reject);
+      } else {
+        entry.idleTimer = setTimeout(() => this.retire(entry), this.idleTimeout);
+      }
+    }
+
+    async retire(entry) {
+      clearTimeout(entry.idleTimer);
+      const idx = this.entries.indexOf(entry);
+      if (idx >= 0) this.entries.splice(idx, 1);
+      if (entry.worker) await entry.worker.terminate().catch(() => {});
+    }
+
+    // Aborting kills the worker running this job, since Tesseract cannot stop a page midway
+    async recognize(image, lang, signal) {
+      const entry = await this.acquire(lang, signal);
+      if (signal && signal.aborted) {
+        this.release(entry);
+        throw new Error('OCR cancelled');
+      }
+      let stop = null;
+      const cancelled = new Promise((_, reject) => {
+        stop = () => {
+          this.retire(entry).then(() => this.serveWaiting());
+          reject(new Error('OCR cancelled'));
+        };
+      });
+      cancelled.catch(() => {});
+      if (signal) signal.addEventListener('abort', stop, { once: true });
+      try {
+        const { data } = await Promise.race([entry.worker.recognize(image), cancelled]);
+        return data;
+      } finally {
+        if (signal) signal.removeEventListener('abort', stop);
+        if (!(signal && signal.aborted)) this.release(entry);
+      }
+    }
+  }
+
+  // A saved worker count (1 runs pages serially) overrides the core-based default
+  const ocrPool = new OcrWorkerPool(ocrEnginePaths().workers ? { size: ocrEnginePaths().workers } : {});
+
   // Unified Notification System
   class NotificationManager {
     constructor() {
@@ -1488,8 +1629,9 @@ class ModernDropzone {
   let pdfToImagesPdfFile = null;
   let extractImagesPdfFile = null;
   let ocrFile = null;
+  let lastOcr = null; // {file, results} of the last OCR run, for the searchable PDF export
+  let ocrTextWritten = ''; // what the app last put in #ocrText; anything else is the user's own edit
   let signaturePdfFile = null;
-  let searchPdfFile = null;
   let splitFiles = [];
   let annotatePdfFile = null;
   let annotatePdfDoc = null;
@@ -1531,6 +1673,10 @@ class ModernDropzone {
   let totalPagesCount = 0;
   let isFullscreen = false;
   let originalViewport = null;
+  let viewMode = 'single';
+  let spreadMode = 'none';
+  let currentDocHash = null;
+  let viewerStateTimer = null;
 
   // Enhanced Annotation variables
   let currentAnnotationColor = '#ffff00';
@@ -1694,7 +1840,22 @@ class ModernDropzone {
     loaderProgress.textContent = progress || '';
     overlay.classList.add('show');
   }
-  function hideOverlay() { overlay.classList.remove('show'); loaderProgress.textContent=''; }
+  function hideOverlay() { overlay.classList.remove('show'); loaderProgress.textContent=''; setOverlayCancel(null); }
+
+  // Shows a Cancel button on the overlay for long runs; hideOverlay removes it again
+  const loaderCancelBtn = document.getElementById('loaderCancelBtn');
+  let overlayCancelHandler = null;
+  function setOverlayCancel(handler){
+    overlayCancelHandler = handler;
+    loaderCancelBtn.disabled = false;
+    loaderCancelBtn.style.display = handler ? '' : 'none';
+  }
+  loaderCancelBtn.addEventListener('click', ()=> {
+    if(!overlayCancelHandler) return;
+    loaderCancelBtn.disabled = true;
+    loaderText.textContent = 'Cancelling...';
+    overlayCancelHandler();
+  });
 
   // Utility: show success/warn with cute notifications (now using unified system)
   function toastSuccess(msg, options = {}) {
@@ -1984,10 +2145,34 @@ class ModernDropzone {
 
   // Quick upload and global file input
   const globalInput = document.getElementById('globalFileInput');
-  document.getElementById('quickUpload').addEventListener('click', ()=> globalInput.click());
-  document.getElementById('fileInputLabel').addEventListener('click', ()=> globalInput.click());
-  globalInput.addEventListener('change', async (e) => {
-    const files = [...e.target.files];
+  const fileHandles = new WeakMap(); // File -> FileSystemFileHandle, when picked through the File System Access API
+  document.getElementById('quickUpload').addEventListener('click', ()=> chooseGlobalFiles());
+  document.getElementById('fileInputLabel').addEventListener('click', ()=> chooseGlobalFiles());
+  globalInput.addEventListener('change', (e) => handleGlobalFiles([...e.target.files]));
+
+  // Prefer the File System Access picker so recent files can be reopened from their handles
+  async function chooseGlobalFiles(){
+    if(!window.showOpenFilePicker){ globalInput.click(); return; }
+    try{
+      const handles = await window.showOpenFilePicker({
+        multiple: true,
+        types: [{
+          description: 'PDFs and images',
+          accept: {'application/pdf': ['.pdf'], 'image/*': ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp', '.tif', '.tiff']}
+        }]
+      });
+      const files = await Promise.all(handles.map(async handle => {
+        const file = await handle.getFile();
+        fileHandles.set(file, handle);
+        return file;
+      }));
+      await handleGlobalFiles(files);
+    } catch(err){
+      if(err.name !== 'AbortError') toastError('Could not open file: ' + err.message);
+    }
+  }
+
+  async function handleGlobalFiles(files){
     if(files.length===0) return;
     totalUploaded += files.length;
     updateCounters();
@@ -2001,7 +2186,7 @@ class ModernDropzone {
     }
     // store in recent
     storeRecentFiles(files);
-  });
+  }
 
   // Initialize Modern Dropzone for Viewer
   const viewerDrop = document.getElementById('viewerDrop');
@@ -2032,11 +2217,210 @@ class ModernDropzone {
   const canvas = document.getElementById('pdf-canvas');
   const ctx = canvas.getContext('2d');
   const thumbsBox = document.getElementById('thumbs');
+  const singlePageView = document.getElementById('singlePageView');
+  const singleSpread = document.getElementById('singleSpread');
+  const pageScroll = document.getElementById('pageScroll');
+  // Single-page mode shows one page, or two side by side in a spread
+  const singleSlots = [
+    { el: singlePageView, canvas, task: null },
+    { el: document.getElementById('spreadPageView'), canvas: document.getElementById('spreadCanvas'), task: null }
+  ];
+
+  // Canvases released by virtualized page lists are kept here for reuse
+  const MAX_POOLED_CANVASES = 8;
+  const canvasPool = [];
+
+  function acquireCanvas(){
+    return canvasPool.pop() || document.createElement('canvas');
+  }
+
+  function releaseCanvas(c){
+    c.remove();
+    if(canvasPool.length < MAX_POOLED_CANVASES) canvasPool.push(c);
+    else { c.width = 0; c.height = 0; } // free the backing store right away
+  }
+
+  // Virtualized page list: every page gets a sized placeholder, but only pages
+  // near the viewport of `root` hold a canvas. A render still in flight is
+  // cancelled as soon as its page scrolls away.
+  class VirtualPageList {
+    constructor(root, options = {}) {
+      this.root = root;
+      this.options = {
+        className: 'page-view',
+        rootMargin: '100% 0px',
+        width: null, // fixed placeholder width in px; derives the scale when set
+        groupPages: null, // (count) => [[1], [2, 3], ...] lays pages out in rows
+        onCreate: null,
+        onRender: null,
+        onScroll: null,
+        ...options
+      };
+      this.views = [];
+      this.doc = null;
+      this.scale = 1;
+      this.observer = null;
+      this.buildId = 0;
+      this.scrollPending = false;
+
+      root.addEventListener('scroll', () => {
+        if (this.scrollPending || !this.options.onScroll) return;
+        this.scrollPending = true;
+        requestAnimationFrame(() => {
+          this.scrollPending = false;
+          const view = this.viewAtScroll();
+          if (view) this.options.onScroll(view.pageNum);
+        });
+      });
+    }
+
+    async build(doc, scale = 1, count = doc.numPages) {
+      this.destroy();
+      const buildId = this.buildId;
+      // Placeholders are sized from page 1; each page corrects its own size once rendered
+      const first = await doc.getPage(1);
+      if (buildId !== this.buildId) return;
+      const groups = this.options.groupPages ? this.options.groupPages(count) : null;
+      const across = groups && groups.some(g => g.length > 1) ? 2 : 1;
+      if (this.options.width) scale = this.options.width / across / first.getViewport({ scale: 1 }).width;
+      const base = first.getViewport({ scale });
+      this.doc = doc;
+      this.scale = scale;
+
+      for (let i = 1; i <= count; i++) {
+        const el = document.createElement('div');
+        el.className = `${this.options.className} placeholder`;
+        el.dataset.page = i;
+        el.style.width = Math.floor(base.width) + 'px';
+        el.style.height = Math.floor(base.height) + 'px';
+        const view = { pageNum: i, el, canvas: null, renderTask: null, rendering: false, rendered: false, visible: false };
+        if (this.options.onCreate) this.options.onCreate(view);
+        this.views.push(view);
+      }
+
+      if (groups) {
+        groups.forEach(group => {
+          const row = document.createElement('div');
+          row.className = 'spread-row';
+          group.forEach(pageNum => row.appendChild(this.views[pageNum - 1].el));
+          this.root.appendChild(row);
+        });
+      } else {
+        this.views.forEach(view => this.root.appendChild(view.el));
+      }
+
+      this.observer = new IntersectionObserver(entries => this.onIntersect(entries), {
+        root: this.root,
+        rootMargin: this.options.rootMargin
+      });
+      this.views.forEach(view => this.observer.observe(view.el));
+    }
+
+    onIntersect(entries) {
+      entries.forEach(entry => {
+        const view = this.views[Number(entry.target.dataset.page) - 1];
+        if (!view || view.el !== entry.target) return;
+        view.visible = entry.isIntersecting;
+        if (view.visible) this.renderView(view);
+        else this.releaseView(view);
+      });
+    }
+
+    async renderView(view) {
+      if (view.rendering || view.rendered) return;
+      view.rendering = true;
+      const doc = this.doc;
+      let cancelled = false;
+      try {
+        const page = await doc.getPage(view.pageNum);
+        if (!view.visible || doc !== this.doc) return;
+        const viewport = page.getViewport({ scale: this.scale });
+        view.el.style.width = Math.floor(viewport.width) + 'px';
+        view.el.style.height = Math.floor(viewport.height) + 'px';
+        view.canvas = acquireCanvas();
+        view.canvas.width = Math.floor(viewport.width);
+        view.canvas.height = Math.floor(viewport.height);
+        view.el.prepend(view.canvas);
+        view.renderTask = page.render({ canvasContext: view.canvas.getContext('2d'), viewport });
+        await view.renderTask.promise;
+        view.rendered = true;
+        view.el.classList.remove('placeholder');
+        if (this.options.onRender) await this.options.onRender(view, page, viewport);
+      } catch (err) {
+        cancelled = err && err.name === 'RenderingCancelledException';
+        if (!cancelled) console.error(`Rendering page ${view.pageNum} failed:`, err);
+      } finally {
+        view.rendering = false;
+        view.renderTask = null;
+      }
+      // Scrolled away and back again while the cancelled render was unwinding
+      if (cancelled && view.visible && doc === this.doc) this.renderView(view);
+    }
+
+    releaseView(view) {
+      view.renderId = (view.renderId || 0) + 1; // lets onRender work still in flight see it is stale
+      if (view.renderTask) view.renderTask.cancel();
+      if (view.canvas) {
+        releaseCanvas(view.canvas);
+        view.canvas = null;
+      }
+      view.el.querySelectorAll('.page-layer').forEach(layer => layer.remove());
+      view.rendered = false;
+      view.el.classList.add('placeholder');
+    }
+
+    // First page whose bottom edge is below the upper third of the viewport
+    viewAtScroll() {
+      const probe = this.root.getBoundingClientRect().top + this.root.clientHeight / 3;
+      let lo = 0, hi = this.views.length - 1, found = null;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (this.views[mid].el.getBoundingClientRect().bottom < probe) lo = mid + 1;
+        else { found = this.views[mid]; hi = mid - 1; }
+      }
+      return found;
+    }
+
+    scrollToPage(pageNum, onlyIfHidden = false) {
+      const view = this.views[pageNum - 1];
+      if (!view) return;
+      const rootRect = this.root.getBoundingClientRect();
+      const rect = view.el.getBoundingClientRect();
+      if (onlyIfHidden && rect.top >= rootRect.top && rect.bottom <= rootRect.bottom) return;
+      this.root.scrollTop += rect.top - rootRect.top;
+    }
+
+    destroy() {
+      this.buildId++;
+      if (this.observer) { this.observer.disconnect(); this.observer = null; }
+      this.views.forEach(view => { view.visible = false; this.releaseView(view); });
+      this.views = [];
+      this.doc = null;
+      this.root.innerHTML = '';
+    }
+  }
+
+  const scrollList = new VirtualPageList(pageScroll, {
+    groupPages: (count) => spreadGroups(count, spreadMode),
+    onRender: (view, page, viewport) => {
+      const renderId = view.renderId;
+      return decoratePageView(view.el, page, viewport, () => view.renderId === renderId);
+    },
+    onScroll: (pageNum) => { if (pageNum !== currentPageNumber) setCurrentPage(pageNum); }
+  });
+
+  const thumbList = new VirtualPageList(thumbsBox, {
+    className: 'thumb',
+    width: 180,
+    groupPages: (count) => spreadGroups(count, spreadMode),
+    rootMargin: '300px 0px',
+    onCreate: (view) => view.el.addEventListener('click', () => navigateToPage(view.pageNum))
+  });
 
   // Enhanced Viewer Event Listeners
-  document.getElementById('viewerOpenBtn').addEventListener('click', ()=> document.getElementById('globalFileInput').click());
-  document.getElementById('prevPageBtn').addEventListener('click', ()=> navigateToPage(currentPageNumber - 1));
-  document.getElementById('nextPageBtn').addEventListener('click', ()=> navigateToPage(currentPageNumber + 1));
+  document.getElementById('viewerOpenBtn').addEventListener('click', ()=> chooseGlobalFiles());
+  document.getElementById('prevPageBtn').addEventListener('click', ()=> stepPage(-1));
+  document.getElementById('nextPageBtn').addEventListener('click', ()=> stepPage(1));
   document.getElementById('pageInput').addEventListener('change', (e)=> navigateToPage(Number(e.target.value)));
   document.getElementById('fitWidthBtn').addEventListener('click', ()=> fitToWidth());
   document.getElementById('fitPageBtn').addEventListener('click', ()=> fitToPage());
@@ -2046,17 +2430,26 @@ class ModernDropzone {
   document.getElementById('zoomPreset').addEventListener('change', (e)=> setScale(Number(e.target.value)));
   document.getElementById('fullscreenBtn').addEventListener('click', toggleFullscreen);
   document.getElementById('renderAllBtn').addEventListener('click', ()=> renderThumbnails());
+  document.getElementById('viewMode').addEventListener('change', (e)=> setViewMode(e.target.value));
+  document.getElementById('spreadMode').addEventListener('change', (e)=> setSpreadMode(e.target.value));
+  document.addEventListener('mouseup', ()=> {
+    document.querySelectorAll('.textLayer .endOfContent.active').forEach(el => el.classList.remove('active'));
+  });
 
   // Enhanced Viewer Functions
   async function navigateToPage(pageNum) {
     if (!currentPdfJsDoc || pageNum < 1 || pageNum > totalPagesCount) return;
 
+    if (viewMode === 'continuous') {
+      scrollList.scrollToPage(pageNum);
+      setCurrentPage(pageNum);
+      return;
+    }
+
     try {
       showOverlay(`Loading page ${pageNum}...`);
-      const page = await currentPdfJsDoc.getPage(pageNum);
-      await renderPageToCanvas(page, canvas, currentScale);
-      currentPageNumber = pageNum;
-      document.getElementById('pageInput').value = pageNum;
+      await renderSingleSpread(pageNum);
+      setCurrentPage(pageNum);
       hideOverlay();
       toastSuccess(`Page ${pageNum} loaded`);
     } catch(err) {
@@ -2065,16 +2458,34 @@ class ModernDropzone {
     }
   }
 
+  // Previous/next move by a whole spread when pages are shown side by side
+  function stepPage(dir) {
+    const spread = spreadFor(currentPageNumber);
+    const target = dir > 0 ? spread[spread.length - 1] + 1 : spread[0] - 1;
+    if(target < 1 || target > totalPagesCount) return;
+    navigateToPage(dir > 0 ? target : spreadFor(Math.max(1, target))[0]);
+  }
+
+  // Element whose size the fit modes measure against
+  function viewerContainer() {
+    return viewMode === 'continuous' ? pageScroll : singleSpread.parentElement;
+  }
+
+  // Pages shown side by side in the current spread mode
+  function pagesAcross() {
+    return spreadMode === 'none' ? 1 : 2;
+  }
+
   function fitToWidth() {
     if (!currentPdfJsDoc) return;
 
-    const container = canvas.parentElement;
+    const container = viewerContainer();
     const containerWidth = container.clientWidth - 40; // Account for padding
 
     // Calculate scale to fit width
     currentPdfJsDoc.getPage(currentPageNumber).then(page => {
       const viewport = page.getViewport({scale: 1.0});
-      const scale = containerWidth / viewport.width;
+      const scale = containerWidth / (viewport.width * pagesAcross());
       setScale(scale);
     });
   }
@@ -2082,13 +2493,13 @@ class ModernDropzone {
   function fitToPage() {
     if (!currentPdfJsDoc) return;
 
-    const container = canvas.parentElement;
+    const container = viewerContainer();
     const containerWidth = container.clientWidth - 40;
     const containerHeight = container.clientHeight - 40;
 
     currentPdfJsDoc.getPage(currentPageNumber).then(page => {
       const viewport = page.getViewport({scale: 1.0});
-      const scaleX = containerWidth / viewport.width;
+      const scaleX = containerWidth / (viewport.width * pagesAcross());
       const scaleY = containerHeight / viewport.height;
       const scale = Math.min(scaleX, scaleY);
       setScale(scale);
@@ -2157,9 +2568,69 @@ class ModernDropzone {
     document.getElementById('zoomRange').value = Math.round(scale*100);
     document.getElementById('zoomPreset').value = scale;
 
-    if(currentPdfJsDoc && currentPageNumber) {
-      currentPdfJsDoc.getPage(currentPageNumber).then(page => renderPageToCanvas(page, canvas, currentScale));
+    if(!currentPdfJsDoc || !currentPageNumber) return;
+    refreshViewerLayout();
+    scheduleViewerStateSave();
+  }
+
+  // Rebuild whichever layout is active around pageNum (after zoom, mode or spread changes)
+  async function refreshViewerLayout(pageNum = currentPageNumber) {
+    if (viewMode === 'continuous') {
+      await scrollList.build(currentPdfJsDoc, currentScale);
+      scrollList.scrollToPage(pageNum);
+    } else {
+      scrollList.destroy();
+      await renderSingleSpread(pageNum);
+    }
+  }
+
+  // Keep page input, thumbnails and scroll tracking in agreement
+  function setCurrentPage(pageNum) {
+    currentPageNumber = pageNum;
+    document.getElementById('pageInput').value = pageNum;
+    thumbsBox.querySelectorAll('.thumb.current').forEach(t => t.classList.remove('current'));
+    const thumb = thumbsBox.querySelector(`.thumb[data-page="${pageNum}"]`);
+    if (thumb) {
+      thumb.classList.add('current');
+      thumbList.scrollToPage(pageNum, true);
+    }
+    highlightOutlineNode(pageNum);
+    scheduleViewerStateSave();
+  }
+
+  function setViewMode(mode) {
+    viewMode = mode;
+    document.getElementById('viewMode').value = mode;
+    const continuous = mode === 'continuous';
+    singleSpread.style.display = continuous ? 'none' : '';
+    pageScroll.style.display = continuous ? '' : 'none';
+    if (!currentPdfJsDoc) return;
+    refreshViewerLayout();
+  }
+
+  function setSpreadMode(mode) {
+    spreadMode = mode;
+    document.getElementById('spreadMode').value = mode;
+    if (!currentPdfJsDoc) return;
+    refreshViewerLayout();
+    renderThumbnails();
+  }
+
+  // Page groups for a spread mode: 'none' = [1],[2].., 'odd' = [1,2],[3,4]..,
+  // 'cover' = [1],[2,3],[4,5].. (the cover stands alone like a book)
+  function spreadGroups(count, mode) {
+    const groups = [];
+    let i = 1;
+    if (mode === 'cover' && count > 0) groups.push([i++]);
+    const size = mode === 'none' ? 1 : 2;
+    for (; i <= count; i += size) {
+      groups.push(size === 2 && i < count ? [i, i + 1] : [i]);
     }
+    return groups;
+  }
+
+  function spreadFor(pageNum) {
+    return spreadGroups(totalPagesCount, spreadMode).find(g => g.includes(pageNum)) || [pageNum];
   }
 
   async function openInViewer(file){
@@ -2167,26 +2638,37 @@ class ModernDropzone {
       showOverlay('Loading PDF...');
       const arrayBuffer = await file.arrayBuffer();
       currentPdfBytes = new Uint8Array(arrayBuffer);
+      // Hash before pdf.js takes ownership of the buffer
+      const hash = await hashBytes(currentPdfBytes);
       currentPdfJsDoc = await pdfjsLib.getDocument({data: currentPdfBytes}).promise;
+      currentDocHash = hash;
 
-      // Initialize enhanced viewer variables
+      // Initialize enhanced viewer variables, resuming where this document was left
       totalPagesCount = currentPdfJsDoc.numPages;
-      currentPageNumber = 1;
+      const saved = await loadViewerState(hash);
+      const startPage = saved ? Math.min(Math.max(1, saved.page), totalPagesCount) : 1;
+      currentScale = saved && saved.scale ? saved.scale : 1.0;
+      document.getElementById('zoomRange').value = Math.round(currentScale*100);
+      document.getElementById('zoomPreset').value = currentScale;
 
       // Update UI elements
       document.getElementById('totalPages').textContent = totalPagesCount;
-      document.getElementById('pageInput').value = currentPageNumber;
       document.getElementById('pageInput').max = totalPagesCount;
+      setCurrentPage(startPage);
 
-      const page = await currentPdfJsDoc.getPage(1);
-      await renderPageToCanvas(page, canvas, 1.0);
+      await refreshViewerLayout(startPage);
+      if(saved) restorePageOffset(saved.pageOffset);
       hideOverlay();
+      if(startPage > 1) toastSuccess(`Resumed at page ${startPage}`);
 
-      // generate small thumbs for pages 1..min(8,nPages)
-      renderThumbsPreview( Math.min(8, currentPdfJsDoc.numPages) );
+      // thumbnails render lazily as the strip scrolls
+      renderThumbnails();
+      loadViewerOutline(currentPdfJsDoc);
+      resetLinkHistory();
+      if(findBar.style.display !== 'none') runFind();
 
       // save recent
-      storeRecentFiles([file]);
+      storeRecentFiles([file], [hash]);
       showNotification('PDF loaded successfully in Viewer', 'success');
       playSound('complete');
     } catch(err){
@@ -2200,14 +2682,6 @@ class ModernDropzone {
     }
   }
 
-  function setScale(scale){
-    currentScale = scale;
-    document.getElementById('zoomRange').value = Math.round(scale*100);
-    if(currentPdfJsDoc) {
-      currentPdfJsDoc.getPage(1).then(page => renderPageToCanvas(page, canvas, currentScale));
-    }
-  }
-
   async function renderPageToCanvas(page, canvasEl, scale){
     const viewport = page.getViewport({scale});
     canvasEl.width = Math.floor(viewport.width);
@@ -2219,126 +2693,1811 @@ class ModernDropzone {
     await page.render(renderContext).promise;
   }
 
-  async function renderThumbsPreview(count){
-    thumbsBox.innerHTML='';
-    for(let i=1;i<=count;i++){
-      const page = await currentPdfJsDoc.getPage(i);
-      const canvasThumb = document.createElement('canvas');
-      canvasThumb.width = 200; canvasThumb.height = 280;
-      await renderPageToCanvas(page, canvasThumb, 0.6);
-      canvasThumb.addEventListener('click', ()=> {
-        renderPageToCanvas(page, canvas, currentScale);
-      });
-      thumbsBox.appendChild(canvasThumb);
+  // Single-page mode draws into #pdf-canvas; a newer page cancels the older render
+  async function renderSinglePage(page, slot = singleSlots[0]){
+    if(slot.task) slot.task.cancel();
+    slot.el.querySelectorAll('.page-layer').forEach(layer => layer.remove());
+    const viewport = page.getViewport({scale: currentScale});
+    slot.el.style.width = Math.floor(viewport.width) + 'px';
+    slot.canvas.width = Math.floor(viewport.width);
+    slot.canvas.height = Math.floor(viewport.height);
+    const task = slot.task = page.render({canvasContext: slot.canvas.getContext('2d'), viewport});
+    try{
+      await task.promise;
+      await decoratePageView(slot.el, page, viewport, () => slot.task === task);
+      return true;
+    } catch(err){
+      if(err && err.name === 'RenderingCancelledException') return false;
+      throw err;
+    } finally {
+      if(slot.task === task) slot.task = null;
     }
   }
 
+  // Render the spread containing pageNum into the single-page slots
+  async function renderSingleSpread(pageNum){
+    const spread = spreadFor(pageNum);
+    const second = singleSlots[1];
+    second.el.style.display = spread.length > 1 ? '' : 'none';
+    if(spread.length < 2 && second.task) second.task.cancel();
+    const pages = await Promise.all(spread.map(n => currentPdfJsDoc.getPage(n)));
+    await Promise.all(pages.map((page, i) => renderSinglePage(page, singleSlots[i])));
+  }
+
+  // Layers stacked over a rendered page, shared by single and continuous modes
+  const decoratedPages = new WeakMap(); // page element -> {page, viewport}
+
+  let pendingReveal = null; // find match whose page was still a placeholder when revealed
+
+  // isCurrent() turns false once the element is released or re-rendered, so a slow
+  // decoration never adds layers on top of a newer render's
+  async function decoratePageView(pageEl, page, viewport, isCurrent = () => true){
+    decoratedPages.set(pageEl, {page, viewport});
+    await renderTextLayer(pageEl, page, viewport);
+    if(!isCurrent()) return;
+    renderHighlightLayer(pageEl, page.pageNumber, viewport);
+    if(pendingReveal && pendingReveal.pageNum === page.pageNumber) scrollToSelectedHit();
+    await renderLinkLayer(pageEl, page, viewport, isCurrent);
+  }
+
+  // Page elements currently showing a rendered page
+  function renderedPageElements(){
+    const els = scrollList.views.filter(v => v.rendered).map(v => v.el);
+    if(viewMode !== 'continuous') singleSlots.forEach(slot => { if(slot.el.style.display !== 'none') els.push(slot.el); });
+    return els.filter(el => decoratedPages.has(el));
+  }
+
+  // Transparent, selectable text positioned over the canvas from getTextContent()
+  async function renderTextLayer(pageEl, page, viewport){
+    const layer = document.createElement('div');
+    layer.className = 'textLayer page-layer';
+    pageEl.appendChild(layer);
+    const textContent = await page.getTextContent();
+    await pdfjsLib.renderTextLayer({ textContent, container: layer, viewport, textDivs: [] }).promise;
+    // Keeps drag-selection from jumping to the top of the page past the last line
+    const end = document.createElement('div');
+    end.className = 'endOfContent';
+    layer.appendChild(end);
+    layer.addEventListener('mousedown', () => end.classList.add('active'));
+    return layer;
+  }
+
   async function renderThumbnails(){
     if(!currentPdfJsDoc) { Swal.fire('No PDF','Open a PDF first.','info'); return; }
-    showOverlay('Rendering thumbnails...', 'This may take a moment.');
-    thumbsBox.innerHTML='';
-    for(let i=1;i<=currentPdfJsDoc.numPages;i++){
-      loaderProgress.textContent = `Rendering page ${i} / ${currentPdfJsDoc.numPages}`;
-      const page = await currentPdfJsDoc.getPage(i);
-      const c = document.createElement('canvas');
-      c.width = 160; c.height = 220;
-      await renderPageToCanvas(page, c, 0.5);
-      thumbsBox.appendChild(c);
-      await new Promise(r=>setTimeout(r,50)); // allow UI updates
-    }
-    hideOverlay();
+    await thumbList.build(currentPdfJsDoc);
+    setCurrentPage(currentPageNumber);
   }
 
-  // ---------- Extract Text ----------
-  const extractDrop = document.getElementById('extractDrop');
-  const extractedText = document.getElementById('extractedText');
-  document.getElementById('extractOpenBtn').addEventListener('click', ()=> document.getElementById('globalFileInput').click());
-  document.getElementById('extractRunBtn').addEventListener('click', ()=> {
-    if(!currentPdfJsDoc) Swal.fire('No PDF','Open a PDF in Viewer first (or upload here).','info');
-    else extractTextFromPdf(currentPdfJsDoc);
-  });
-  document.getElementById('downloadTxtBtn').addEventListener('click', ()=>{
-    const txt = extractedText.value || '';
-    if(!txt) { toastError('No text to download'); return; }
-    const blob = new Blob([txt], {type:'text/plain;charset=utf-8'});
-    saveAs(blob, 'extracted.txt');
-    toastSuccess('Downloaded extracted text');
+  // ---------- Viewer State Persistence ----------
+  pageScroll.addEventListener('scroll', ()=> scheduleViewerStateSave());
+  // Single-page mode scrolls the window rather than the page list
+  window.addEventListener('scroll', ()=> {
+    if(viewMode !== 'continuous' && document.getElementById('viewer').classList.contains('active')) scheduleViewerStateSave();
+  }, {passive: true});
+  document.addEventListener('visibilitychange', ()=> {
+    if(document.visibilityState === 'hidden') saveViewerState();
   });
 
-  extractDrop.addEventListener('drop', async (ev)=>{
-    ev.preventDefault();
-    const f = ev.dataTransfer.files[0];
-    if(!f) return;
-    const sb = await f.arrayBuffer();
-    currentPdfJsDoc = await pdfjsLib.getDocument({data: sb}).promise;
-    Swal.fire('Loaded','PDF loaded for text extraction','success');
-    totalUploaded++;
-    updateCounters();
-    storeRecentFiles([f]);
-  });
+  async function loadViewerState(hash){
+    try{
+      return await idbGet('viewerState', hash) || null;
+    } catch(err){
+      console.warn('Viewer state unavailable:', err);
+      return null;
+    }
+  }
 
-  async function extractTextFromPdf(pdfjsDoc){
+  function scheduleViewerStateSave(){
+    if(!currentDocHash) return;
+    clearTimeout(viewerStateTimer);
+    viewerStateTimer = setTimeout(saveViewerState, 500);
+  }
+
+  async function saveViewerState(){
+    clearTimeout(viewerStateTimer);
+    if(!currentDocHash || !currentPdfJsDoc) return;
     try{
-      showOverlay('Extracting text...', '');
-      processingStartTime = Date.now();
-      let full = '';
-      for(let i=1;i<=pdfjsDoc.numPages;i++){
-        loaderProgress.textContent = `Page ${i} / ${pdfjsDoc.numPages}`;
-        const page = await pdfjsDoc.getPage(i);
-        const content = await page.getTextContent();
-        const strings = content.items.map(it => it.str);
-        full += strings.join(' ') + '\n\n';
-        await new Promise(r=>setTimeout(r,10));
-      }
-      extractedText.value = full;
-      processingTimes.push(Date.now() - processingStartTime);
-      totalProcessed++;
-      updateCounters();
-      // Update KPIs for successful text extraction
-      await updateKPI('processed_today');
-      hideOverlay();
-      toastSuccess('Text extracted');
-      playSound('complete');
+      await idbPut('viewerState', {
+        hash: currentDocHash,
+        page: currentPageNumber,
+        totalPages: totalPagesCount,
+        scale: currentScale,
+        pageOffset: currentPageOffset(),
+        updated: Date.now()
+      });
     } catch(err){
-      hideOverlay();
-      toastError('Extraction failed: '+err.message);
-      errorsCount++;
-      updateCounters();
-      playSound('error');
+      console.warn('Could not save viewer state:', err);
     }
   }
 
-  // ---------- Merge PDFs ----------
-  const mergeInput = document.getElementById('mergeInput');
-  const mergeList = document.getElementById('mergeList');
-  let mergeFiles = [];
-  document.getElementById('mergeChoose').addEventListener('click', ()=> mergeInput.click());
-  mergeInput.addEventListener('change', (e)=> {
-    const files = [...e.target.files];
-    if (files.length === 0) return;
+  // Fraction of the current page scrolled past the top of whatever scrolls it: the page
+  // list in continuous mode, the window in single-page mode (.viewer-main grows with the page)
+  function currentPageOffset(){
+    const el = currentPageElement();
+    if(!el || !el.offsetHeight) return 0;
+    const top = viewMode === 'continuous' ? pageScroll.getBoundingClientRect().top : 0;
+    const offset = top - el.getBoundingClientRect().top;
+    return Math.min(1, Math.max(0, offset / el.offsetHeight));
+  }
 
-    // Reset merge files for new batch
-    mergeFiles = [];
+  function restorePageOffset(fraction){
+    if(!fraction) return;
+    const el = currentPageElement();
+    if(!el) return;
+    if(viewMode === 'continuous'){
+      pageScroll.scrollTop += (el.getBoundingClientRect().top - pageScroll.getBoundingClientRect().top) + fraction * el.offsetHeight;
+    } else {
+      window.scrollTo(0, window.scrollY + el.getBoundingClientRect().top + fraction * el.offsetHeight);
+    }
+  }
 
-    // Use batch processor for unlimited file support
-    batchProcessor.onComplete = (results) => {
-      showNotification(`Merge batch completed! ${results.filesProcessed} files processed in ${results.duration.toFixed(1)}s`, 'success');
-      // Now run the actual merge with all collected files
-      renderMergeList(); // Update UI with collected files
-      mergePdfs();
-    };
-    batchProcessor.onError = (file, error) => {
-      showNotification(`Failed to prepare ${file.name} for merge: ${error.message}`, 'error');
-    };
+  function currentPageElement(){
+    return viewMode === 'continuous'
+      ? (scrollList.views[currentPageNumber - 1] || {}).el
+      : singlePageView;
+  }
 
-    batchProcessor.addFiles(files, 'merge');
-    totalUploaded += files.length;
-    updateCounters();
-    // Don't set mergeFiles here - let batch processor collect them
+  // ---------- Viewer Find Bar ----------
+  const findBar = document.getElementById('findBar');
+  const findInput = document.getElementById('findInput');
+  const findCount = document.getElementById('findCount');
+  const pageTextCache = new WeakMap(); // pdf.js doc -> Map(pageNum -> {text, spans})
+  let findMatches = [];
+  let findIndex = -1;
+  let findQueryKey = '';
+  let findSearchId = 0;
+  let findDebounce = null;
+
+  document.addEventListener('keydown', (e)=> {
+    if(e.key.toLowerCase() !== 'f' || !(e.ctrlKey || e.metaKey)) return;
+    if(!document.getElementById('viewer').classList.contains('active')) return;
+    e.preventDefault();
+    openFindBar();
   });
-  document.getElementById('mergeRun').addEventListener('click', ()=> mergePdfs());
-  document.getElementById('downloadFailedZip').addEventListener('click', async ()=> {
-    if(failedItems.length === 0) return;
+  findInput.addEventListener('input', ()=> {
+    clearTimeout(findDebounce);
+    findDebounce = setTimeout(()=> runFind(), 250);
+  });
+  findInput.addEventListener('keydown', (e)=> {
+    if(e.key === 'Enter'){
+      e.preventDefault();
+      clearTimeout(findDebounce);
+      // A fresh search already reveals the first hit at or after the current page
+      if(findQueryKey !== currentFindKey()) runFind();
+      else stepFind(e.shiftKey ? -1 : 1);
+    } else if(e.key === 'Escape'){
+      closeFindBar();
+    }
+  });
+  ['findCase','findWholeWord','findRegex'].forEach(id => document.getElementById(id).addEventListener('change', ()=> runFind()));
+  document.getElementById('findNextBtn').addEventListener('click', ()=> stepFind(1));
+  document.getElementById('findPrevBtn').addEventListener('click', ()=> stepFind(-1));
+  document.getElementById('findCloseBtn').addEventListener('click', ()=> closeFindBar());
+
+  function openFindBar(){
+    findBar.style.display = 'flex';
+    findInput.focus();
+    findInput.select();
+  }
+
+  function closeFindBar(){
+    findBar.style.display = 'none';
+    findSearchId++;
+    findMatches = [];
+    pendingReveal = null;
+    findIndex = -1;
+    findQueryKey = '';
+    findCount.textContent = '';
+    refreshHighlights();
+  }
+
+  function currentFindKey(){
+    const opts = ['findCase','findWholeWord','findRegex'].map(id => document.getElementById(id).checked);
+    return [findInput.value, ...opts].join('\u0000');
+  }
+
+  // Build the search pattern from the find bar options; null when invalid or empty
+  function buildFindPattern(){
+    const query = findInput.value;
+    if(!query) return null;
+    let source = document.getElementById('findRegex').checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if(document.getElementById('findWholeWord').checked) source = `\\b(?:${source})\\b`;
+    const flags = document.getElementById('findCase').checked ? 'gu' : 'giu';
+    try{
+      return new RegExp(source, flags);
+    } catch(err){
+      return null;
+    }
+  }
+
+  // Page text with the offset of each text item, so matches map back to positions
+  async function getPageText(doc, pageNum){
+    if(!pageTextCache.has(doc)) pageTextCache.set(doc, new Map());
+    const cache = pageTextCache.get(doc);
+    if(cache.has(pageNum)) return cache.get(pageNum);
+    const page = await doc.getPage(pageNum);
+    const content = await page.getTextContent();
+    let text = '';
+    const spans = [];
+    content.items.forEach(item => {
+      if(typeof item.str !== 'string') return;
+      spans.push({start: text.length, end: text.length + item.str.length, item});
+      text += item.str;
+      text += item.hasEOL ? '\n' : '';
+    });
+    const entry = {text, spans};
+    cache.set(pageNum, entry);
+    return entry;
+  }
+
+  async function runFind(){
+    const searchId = ++findSearchId;
+    findQueryKey = currentFindKey();
+    findMatches = [];
+    pendingReveal = null;
+    findIndex = -1;
+    const doc = currentPdfJsDoc;
+    const pattern = buildFindPattern();
+    if(!doc || !pattern){
+      findCount.textContent = findInput.value && doc ? 'Invalid pattern' : '';
+      refreshHighlights();
+      return;
+    }
+    for(let i=1;i<=doc.numPages;i++){
+      if(i % 25 === 0) findCount.textContent = `Searching ${i}/${doc.numPages}...`;
+      const {text} = await getPageText(doc, i);
+      if(searchId !== findSearchId) return; // superseded by a newer search
+      pattern.lastIndex = 0;
+      let m;
+      while((m = pattern.exec(text)) !== null){
+        if(m[0].length === 0){ pattern.lastIndex++; continue; }
+        findMatches.push({pageNum: i, start: m.index, end: m.index + m[0].length});
+      }
+    }
+    // Start from the first hit at or after the page being viewed
+    const next = findMatches.findIndex(m => m.pageNum >= currentPageNumber);
+    findIndex = findMatches.length ? (next === -1 ? 0 : next) : -1;
+    updateFindCount();
+    refreshHighlights();
+    if(findIndex >= 0) revealMatch(findMatches[findIndex]);
+  }
+
+  function stepFind(dir){
+    if(!findMatches.length) return;
+    findIndex = (findIndex + dir + findMatches.length) % findMatches.length;
+    updateFindCount();
+    revealMatch(findMatches[findIndex]);
+  }
+
+  function updateFindCount(){
+    findCount.textContent = findMatches.length ? `${findIndex + 1} of ${findMatches.length}` : 'No matches';
+  }
+
+  // In continuous mode the page may still be a placeholder: navigating scrolls to it, and
+  // decoratePageView finishes the reveal once the page has rendered
+  async function revealMatch(match){
+    pendingReveal = match;
+    if(match.pageNum !== currentPageNumber || viewMode === 'continuous') await navigateToPage(match.pageNum);
+    refreshHighlights();
+    scrollToSelectedHit();
+  }
+
+  function scrollToSelectedHit(){
+    const hit = document.querySelector('.highlightLayer .find-hit.selected');
+    if(!hit) return;
+    pendingReveal = null;
+    hit.scrollIntoView({block: 'center', inline: 'nearest'});
+  }
+
+  function refreshHighlights(){
+    renderedPageElements().forEach(el => {
+      const {page, viewport} = decoratedPages.get(el);
+      renderHighlightLayer(el, page.pageNumber, viewport);
+    });
+  }
+
+  // Rectangles for a character range, interpolated across the text items it spans
+  function matchRects(entry, match, viewport){
+    const rects = [];
+    entry.spans.forEach(span => {
+      if(span.end <= match.start || span.start >= match.end || !span.item.str.length) return;
+      const item = span.item;
+      const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(tx[2], tx[3]);
+      const width = item.width * viewport.scale;
+      const from = Math.max(match.start, span.start) - span.start;
+      const to = Math.min(match.end, span.end) - span.start;
+      rects.push({
+        left: tx[4] + width * from / item.str.length,
+        top: tx[5] - fontHeight,
+        width: width * (to - from) / item.str.length,
+        height: fontHeight
+      });
+    });
+    return rects;
+  }
+
+  function renderHighlightLayer(pageEl, pageNum, viewport){
+    pageEl.querySelectorAll('.highlightLayer').forEach(l => l.remove());
+    const hits = findMatches.filter(m => m.pageNum === pageNum);
+    const doc = currentPdfJsDoc;
+    const entry = doc && pageTextCache.has(doc) ? pageTextCache.get(doc).get(pageNum) : null;
+    if(!hits.length || !entry) return;
+    const layer = document.createElement('div');
+    layer.className = 'highlightLayer page-layer';
+    hits.forEach(hit => {
+      const selected = findMatches[findIndex] === hit;
+      matchRects(entry, hit, viewport).forEach(r => {
+        const box = document.createElement('div');
+        box.className = 'find-hit' + (selected ? ' selected' : '');
+        box.style.left = r.left + 'px';
+        box.style.top = r.top + 'px';
+        box.style.width = r.width + 'px';
+        box.style.height = r.height + 'px';
+        layer.appendChild(box);
+      });
+    });
+    pageEl.appendChild(layer);
+  }
+
+  // ---------- Viewer Links ----------
+  const linkHistory = {back: [], forward: []};
+  document.getElementById('historyBackBtn').addEventListener('click', ()=> historyGo(-1));
+  document.getElementById('historyForwardBtn').addEventListener('click', ()=> historyGo(1));
+  document.addEventListener('keydown', (e)=> {
+    if(!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    if(!document.getElementById('viewer').classList.contains('active')) return;
+    e.preventDefault();
+    historyGo(e.key === 'ArrowLeft' ? -1 : 1);
+  });
+
+  // Only pdf.js's validated url is used, and only for schemes that cannot run script
+  const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+  function safeLinkUrl(url){
+    if(!url) return null;
+    try{
+      return SAFE_LINK_PROTOCOLS.includes(new URL(url).protocol) ? url : null;
+    } catch(err){
+      return null;
+    }
+  }
+
+  // Clickable overlays for the page's Link annotations
+  async function renderLinkLayer(pageEl, page, viewport, isCurrent = () => true){
+    const annotations = await page.getAnnotations({intent: 'display'});
+    const links = annotations.filter(a => a.subtype === 'Link');
+    if(!links.length) return;
+    const doc = currentPdfJsDoc;
+    const layer = document.createElement('div');
+    layer.className = 'linkLayer page-layer';
+    for(const link of links){
+      const [x1, y1, x2, y2] = pdfjsLib.Util.normalizeRect(viewport.convertToViewportRectangle(link.rect));
+      const a = document.createElement('a');
+      a.className = 'link-annot';
+      a.style.left = x1 + 'px';
+      a.style.top = y1 + 'px';
+      a.style.width = (x2 - x1) + 'px';
+      a.style.height = (y2 - y1) + 'px';
+      const url = safeLinkUrl(link.url);
+      if(url){
+        a.href = url;
+        a.title = url;
+        a.addEventListener('click', (e)=> { e.preventDefault(); openExternalLink(url); });
+      } else if(link.dest){
+        const target = await resolveDestPage(doc, link.dest);
+        if(!target) continue;
+        a.href = '#';
+        a.title = `Go to page ${target}`;
+        a.addEventListener('click', (e)=> { e.preventDefault(); followLink(target); });
+      } else if(link.action){
+        const target = namedActionPage(link.action, page.pageNumber);
+        if(!target) continue;
+        a.href = '#';
+        a.title = `Go to page ${target}`;
+        a.addEventListener('click', (e)=> { e.preventDefault(); followLink(target); });
+      } else {
+        continue;
+      }
+      layer.appendChild(a);
+    }
+    if(isCurrent()) pageEl.appendChild(layer);
+  }
+
+  function namedActionPage(action, fromPage){
+    switch(action){
+      case 'NextPage': return Math.min(totalPagesCount, fromPage + 1);
+      case 'PrevPage': return Math.max(1, fromPage - 1);
+      case 'FirstPage': return 1;
+      case 'LastPage': return totalPagesCount;
+      default: return null;
+    }
+  }
+
+  async function openExternalLink(url){
+    const ok = await confirmDialog('Open external link?', url);
+    if(ok) window.open(url, '_blank', 'noopener,noreferrer');
+  }
+
+  function followLink(pageNum){
+    if(!pageNum || pageNum === currentPageNumber) return;
+    linkHistory.back.push(currentPageNumber);
+    linkHistory.forward = [];
+    updateHistoryButtons();
+    navigateToPage(pageNum);
+  }
+
+  function historyGo(dir){
+    const from = dir < 0 ? linkHistory.back : linkHistory.forward;
+    const to = dir < 0 ? linkHistory.forward : linkHistory.back;
+    if(!from.length) return;
+    const target = from.pop();
+    to.push(currentPageNumber);
+    updateHistoryButtons();
+    navigateToPage(target);
+  }
+
+  function resetLinkHistory(){
+    linkHistory.back = [];
+    linkHistory.forward = [];
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons(){
+    document.getElementById('historyBackBtn').disabled = linkHistory.back.length === 0;
+    document.getElementById('historyForwardBtn').disabled = linkHistory.forward.length === 0;
+  }
+
+  // ---------- Viewer Outline ----------
+  const outlinePanel = document.getElementById('outlinePanel');
+  const outlineTree = document.getElementById('outlineTree');
+  let outlineNodes = []; // document order: {pageNum, item, li}
+
+  document.getElementById('outlineToggle').addEventListener('click', ()=> {
+    const collapsed = outlinePanel.classList.toggle('collapsed');
+    document.getElementById('outlineToggle').setAttribute('aria-expanded', String(!collapsed));
+  });
+
+  async function loadViewerOutline(doc){
+    outlineTree.innerHTML = '';
+    outlineNodes = [];
+    outlinePanel.style.display = 'none';
+    try{
+      const outline = await doc.getOutline();
+      if(!outline || outline.length === 0) return;
+      const bookmarks = await flattenOutline(outline, 0, doc);
+      if(doc !== currentPdfJsDoc) return; // another file was opened meanwhile
+      buildOutlineTree(bookmarks).forEach(node => outlineTree.appendChild(renderOutlineNode(node)));
+      outlinePanel.style.display = '';
+      highlightOutlineNode(currentPageNumber);
+    } catch(err){
+      console.error('Failed to load outline:', err);
+    }
+  }
+
+  // Nest the flat {title, pageNum, level} list from flattenOutline back into a tree
+  function buildOutlineTree(bookmarks){
+    const root = {children: []};
+    const stack = [root];
+    bookmarks.forEach(bm => {
+      const node = {...bm, children: []};
+      while(stack.length > bm.level + 1) stack.pop();
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+    return root.children;
+  }
+
+  function renderOutlineNode(node){
+    const li = document.createElement('li');
+    const item = document.createElement('div');
+    item.className = 'outline-item';
+    item.title = `${node.title} (page ${node.pageNum})`;
+    const caret = document.createElement('button');
+    caret.className = 'outline-caret';
+    if(node.children.length){
+      caret.innerHTML = '<i class="fa-solid fa-caret-down"></i>';
+      caret.addEventListener('click', (e)=> { e.stopPropagation(); li.classList.toggle('collapsed'); });
+      if(node.level > 0) li.classList.add('collapsed');
+    }
+    const label = document.createElement('span');
+    label.textContent = node.title;
+    item.appendChild(caret);
+    item.appendChild(label);
+    item.addEventListener('click', ()=> navigateToPage(node.pageNum));
+    li.appendChild(item);
+    outlineNodes.push({pageNum: node.pageNum, item, li});
+    if(node.children.length){
+      const ul = document.createElement('ul');
+      node.children.forEach(child => ul.appendChild(renderOutlineNode(child)));
+      li.appendChild(ul);
+    }
+    return li;
+  }
+
+  // The current section is the last outline entry starting at or before the page
+  function highlightOutlineNode(pageNum){
+    let current = null;
+    outlineNodes.forEach(node => {
+      node.item.classList.remove('current');
+      if(node.pageNum <= pageNum) current = node;
+    });
+    if(!current) return;
+    current.item.classList.add('current');
+    for(let li = current.li.parentElement.closest('li'); li; li = li.parentElement.closest('li')){
+      li.classList.remove('collapsed');
+    }
+    const treeRect = outlineTree.getBoundingClientRect();
+    const rect = current.item.getBoundingClientRect();
+    if(rect.top < treeRect.top || rect.bottom > treeRect.bottom) outlineTree.scrollTop += rect.top - treeRect.top;
+  }
+
+  // ---------- Compare PDFs ----------
+  // Two linked viewers: page, zoom and scroll follow each other; the diff overlay tints
+  // every cell of the page where the two renderings disagree.
+  const COMPARE_DIFF_CELL = 8;        // px, size of the squares tinted in the overlay
+  const COMPARE_DIFF_THRESHOLD = 48;  // summed RGB delta below which pixels count as equal
+  const compareDocs = {A: null, B: null};
+  const compareScrolls = {A: document.getElementById('compareScrollA'), B: document.getElementById('compareScrollB')};
+  const compareViews = {A: document.getElementById('compareViewA'), B: document.getElementById('compareViewB')};
+  const comparePageInput = document.getElementById('comparePageInput');
+  const compareSyncScroll = document.getElementById('compareSyncScroll');
+  const compareDiffToggle = document.getElementById('compareDiff');
+  let comparePage = 1;
+  let compareScale = 1.0;
+  let compareRenderId = 0;
+  let compareScrollEcho = null;
+
+  ['A', 'B'].forEach(side => {
+    const input = document.getElementById('compareInput' + side);
+    document.getElementById('compareChoose' + side).addEventListener('click', ()=> input.click());
+    input.addEventListener('change', async (e)=> {
+      const f = e.target.files[0];
+      if(f) { totalUploaded++; updateCounters(); await loadCompareFile(side, f); }
+      input.value = '';
+    });
+    // Highlights the pane a file will land in; leaving counts only when the pointer exits the pane
+    compareScrolls[side].addEventListener('dragenter', ()=> compareScrolls[side].classList.add('dragover'));
+    compareScrolls[side].addEventListener('dragleave', (ev)=> {
+      if(!compareScrolls[side].contains(ev.relatedTarget)) compareScrolls[side].classList.remove('dragover');
+    });
+    compareScrolls[side].addEventListener('drop', async (ev)=> {
+      ev.preventDefault();
+      compareScrolls[side].classList.remove('dragover');
+      const f = ev.dataTransfer.files[0];
+      if(f && f.type === 'application/pdf') { totalUploaded++; updateCounters(); await loadCompareFile(side, f); }
+    });
+    compareScrolls[side].addEventListener('scroll', ()=> syncCompareScroll(side));
+  });
+  document.getElementById('comparePrevBtn').addEventListener('click', ()=> goToComparePage(comparePage - 1));
+  document.getElementById('compareNextBtn').addEventListener('click', ()=> goToComparePage(comparePage + 1));
+  comparePageInput.addEventListener('change', ()=> goToComparePage(Number(comparePageInput.value) || 1));
+  document.getElementById('compareZoomInBtn').addEventListener('click', ()=> setCompareScale(compareScale + 0.25));
+  document.getElementById('compareZoomOutBtn').addEventListener('click', ()=> setCompareScale(compareScale - 0.25));
+  compareDiffToggle.addEventListener('change', ()=> renderComparePage());
+  compareSyncScroll.addEventListener('change', ()=> { if(compareSyncScroll.checked) syncCompareScroll('A'); });
+
+  async function loadCompareFile(side, file){
+    try{
+      showOverlay('Loading PDF for comparison...');
+      const bytes = await file.arrayBuffer();
+      const doc = await pdfjsLib.getDocument({data: bytes}).promise;
+      if(compareDocs[side]) compareDocs[side].doc.destroy();
+      compareDocs[side] = {doc, name: file.name};
+      document.getElementById('compareName' + side).textContent = `${side === 'A' ? 'Original' : 'Revised'} — ${file.name} (${doc.numPages} pages)`;
+      document.getElementById('compareTotalPages').textContent = compareTotalPages();
+      storeRecentFiles([file]);
+      hideOverlay();
+      Swal.fire('Loaded', `${file.name} loaded for comparison`, 'success');
+      goToComparePage(Math.min(comparePage, compareTotalPages()));
+    } catch(err){
+      hideOverlay();
+      errorsCount++;
+      updateCounters();
+      toastError('Could not load PDF: ' + err.message);
+    }
+  }
+
+  function compareTotalPages(){
+    return Math.max(compareDocs.A ? compareDocs.A.doc.numPages : 0, compareDocs.B ? compareDocs.B.doc.numPages : 0);
+  }
+
+  function goToComparePage(pageNum){
+    const total = compareTotalPages();
+    if(!total) return;
+    comparePage = Math.max(1, Math.min(total, pageNum));
+    comparePageInput.value = comparePage;
+    Object.values(compareScrolls).forEach(el => { el.scrollTop = 0; el.scrollLeft = 0; });
+    renderComparePage();
+  }
+
+  function setCompareScale(scale){
+    compareScale = Math.max(0.25, Math.min(4, scale));
+    document.getElementById('compareZoomLabel').textContent = Math.round(compareScale * 100) + '%';
+    renderComparePage();
+  }
+
+  // Both sides render off-screen and are swapped in together so a slow side never shows a stale page
+  async function renderComparePage(){
+    if(!compareTotalPages()) return;
+    const renderId = ++compareRenderId;
+    try{
+      const canvases = await Promise.all(['A', 'B'].map(async side => {
+        const entry = compareDocs[side];
+        const c = document.createElement('canvas');
+        if(entry && comparePage <= entry.doc.numPages){
+          await renderPageToCanvas(await entry.doc.getPage(comparePage), c, compareScale);
+          return c;
+        }
+        return null;
+      }));
+      if(renderId !== compareRenderId) return;
+      const [canvasA, canvasB] = canvases;
+      const size = canvasA || canvasB;
+      const sides = {A: canvasA, B: canvasB};
+      Object.entries(sides).forEach(([side, c]) => {
+        const view = compareViews[side];
+        // A side without this page keeps an empty placeholder the size of the other side
+        if(!c){ c = document.createElement('canvas'); c.width = size.width; c.height = size.height; }
+        view.classList.toggle('placeholder', !sides[side]);
+        view.style.width = c.width + 'px';
+        view.style.height = c.height + 'px';
+        view.replaceChild(c, view.querySelector('canvas:not(.compare-diff)'));
+        const overlay = view.querySelector('.compare-diff');
+        overlay.width = c.width;
+        overlay.height = c.height;
+        overlay.style.display = 'none';
+      });
+      updateCompareDiff(canvasA, canvasB);
+      syncCompareScroll('A');
+    } catch(err){
+      if(renderId === compareRenderId) toastError('Compare render failed: ' + err.message);
+    }
+  }
+
+  function updateCompareDiff(canvasA, canvasB){
+    const summary = document.getElementById('compareSummary');
+    if(!canvasA || !canvasB){
+      summary.textContent = compareDocs.A && compareDocs.B ? `Page ${comparePage} exists in only one document.` : '';
+      return;
+    }
+    if(!compareDiffToggle.checked){ summary.textContent = ''; return; }
+    const cells = diffCells(canvasA, canvasB);
+    const overlays = {A: compareViews.A.querySelector('.compare-diff'), B: compareViews.B.querySelector('.compare-diff')};
+    paintDiffCells(overlays.A, cells, 'rgba(239,68,68,0.35)');
+    paintDiffCells(overlays.B, cells, 'rgba(34,197,94,0.35)');
+    const changed = cells.changed.length / (cells.cols * cells.rows);
+    summary.textContent = cells.changed.length
+      ? `Page ${comparePage}: ${(changed * 100).toFixed(1)}% of the page differs (removed in red, added in green).`
+      : `Page ${comparePage}: no visual differences.`;
+  }
+
+  // Compares the two renderings cell by cell; anything outside the common area counts as changed
+  function diffCells(canvasA, canvasB){
+    const width = Math.max(canvasA.width, canvasB.width);
+    const height = Math.max(canvasA.height, canvasB.height);
+    const common = {w: Math.min(canvasA.width, canvasB.width), h: Math.min(canvasA.height, canvasB.height)};
+    const dataA = canvasA.getContext('2d').getImageData(0, 0, common.w, common.h).data;
+    const dataB = canvasB.getContext('2d').getImageData(0, 0, common.w, common.h).data;
+    const cols = Math.ceil(width / COMPARE_DIFF_CELL);
+    const rows = Math.ceil(height / COMPARE_DIFF_CELL);
+    const marked = new Uint8Array(cols * rows);
+    for(let y = 0; y < height; y++){
+      const row = Math.floor(y / COMPARE_DIFF_CELL) * cols;
+      for(let x = 0; x < width; x++){
+        const cell = row + Math.floor(x / COMPARE_DIFF_CELL);
+        if(marked[cell]) { x += COMPARE_DIFF_CELL - 1 - (x % COMPARE_DIFF_CELL); continue; }
+        if(x >= common.w || y >= common.h){ marked[cell] = 1; continue; }
+        const i = (y * common.w + x) * 4;
+        const delta = Math.abs(dataA[i] - dataB[i]) + Math.abs(dataA[i+1] - dataB[i+1]) + Math.abs(dataA[i+2] - dataB[i+2]);
+        if(delta > COMPARE_DIFF_THRESHOLD) marked[cell] = 1;
+      }
+    }
+    const changed = [];
+    marked.forEach((m, idx) => { if(m) changed.push(idx); });
+    return {cols, rows, changed};
+  }
+
+  function paintDiffCells(overlay, cells, color){
+    const octx = overlay.getContext('2d');
+    octx.clearRect(0, 0, overlay.width, overlay.height);
+    octx.fillStyle = color;
+    cells.changed.forEach(idx => {
+      const x = (idx % cells.cols) * COMPARE_DIFF_CELL;
+      const y = Math.floor(idx / cells.cols) * COMPARE_DIFF_CELL;
+      octx.fillRect(x, y, COMPARE_DIFF_CELL, COMPARE_DIFF_CELL);
+    });
+    overlay.style.display = cells.changed.length ? 'block' : 'none';
+  }
+
+  // Mirrors the scroll position proportionally; the echoed scroll event from the other pane is ignored
+  function syncCompareScroll(side){
+    const other = side === 'A' ? 'B' : 'A';
+    if(compareScrollEcho === side){ compareScrollEcho = null; return; }
+    if(!compareSyncScroll.checked) return;
+    const src = compareScrolls[side];
+    const dst = compareScrolls[other];
+    const ratioY = src.scrollHeight > src.clientHeight ? src.scrollTop / (src.scrollHeight - src.clientHeight) : 0;
+    const ratioX = src.scrollWidth > src.clientWidth ? src.scrollLeft / (src.scrollWidth - src.clientWidth) : 0;
+    const top = Math.round(ratioY * (dst.scrollHeight - dst.clientHeight));
+    const left = Math.round(ratioX * (dst.scrollWidth - dst.clientWidth));
+    if(top === dst.scrollTop && left === dst.scrollLeft) return;
+    compareScrollEcho = other;
+    dst.scrollTop = top;
+    dst.scrollLeft = left;
+  }
+
+  // ---------- Compare: Word Diff ----------
+  const DIFF_MAX_CELLS = 4e6; // beyond this a page is reported as fully replaced rather than diffed
+  const compareReport = document.getElementById('compareReport');
+  let compareTextReport = null;
+
+  document.getElementById('compareTextDiffBtn').addEventListener('click', ()=> runCompareTextDiff());
+  document.getElementById('compareExportHtmlBtn').addEventListener('click', ()=> exportDiffHtml());
+  document.getElementById('compareExportPdfBtn').addEventListener('click', ()=> exportDiffPdf());
+
+  async function runCompareTextDiff(){
+    if(!compareDocs.A || !compareDocs.B){ Swal.fire('Two PDFs needed','Load an original and a revised PDF to compare','info'); return; }
+    try{
+      showOverlay('Comparing text...', '');
+      processingStartTime = Date.now();
+      const total = compareTotalPages();
+      const pages = [];
+      for(let i=1;i<=total;i++){
+        loaderProgress.textContent = `Page ${i} / ${total}`;
+        const [wordsA, wordsB] = await Promise.all([compareDocs.A, compareDocs.B].map(async entry =>
+          i <= entry.doc.numPages ? splitWords(await extractPageText(await entry.doc.getPage(i))) : []));
+        const ops = diffWords(wordsA, wordsB);
+        const count = type => ops.filter(op => op.type === type).reduce((sum, op) => sum + op.words.length, 0);
+        pages.push({pageNum: i, ops, inserted: count('insert'), deleted: count('delete')});
+      }
+      compareTextReport = {nameA: compareDocs.A.name, nameB: compareDocs.B.name, pages};
+      renderDiffReport(compareTextReport);
+      document.getElementById('compareExportHtmlBtn').disabled = false;
+      document.getElementById('compareExportPdfBtn').disabled = false;
+      processingTimes.push(Date.now() - processingStartTime);
+      totalProcessed++;
+      updateCounters();
+      hideOverlay();
+      toastSuccess('Text comparison ready');
+      playSound('complete');
+    } catch(err){
+      hideOverlay();
+      toastError('Text comparison failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+      playSound('error');
+    }
+  }
+
+  function splitWords(text){
+    return text.split(/\s+/).filter(Boolean);
+  }
+
+  // Longest-common-subsequence diff over words; common prefix and suffix are trimmed first
+  // so the table only covers the changed middle of the page.
+  // Returns runs of {type: 'equal' | 'delete' | 'insert', words}.
+  function diffWords(a, b){
+    const ops = [];
+    const push = (type, word) => {
+      const last = ops[ops.length - 1];
+      if(last && last.type === type) last.words.push(word);
+      else ops.push({type, words: [word]});
+    };
+    let start = 0;
+    while(start < a.length && start < b.length && a[start] === b[start]) push('equal', a[start++]);
+    let endA = a.length, endB = b.length;
+    while(endA > start && endB > start && a[endA-1] === b[endB-1]){ endA--; endB--; }
+    const n = endA - start, m = endB - start;
+    if(n * m > DIFF_MAX_CELLS){
+      a.slice(start, endA).forEach(w => push('delete', w));
+      b.slice(start, endB).forEach(w => push('insert', w));
+    } else {
+      const cols = m + 1;
+      const lcs = new Uint32Array((n + 1) * cols);
+      for(let i = n - 1; i >= 0; i--){
+        for(let j = m - 1; j >= 0; j--){
+          lcs[i*cols + j] = a[start+i] === b[start+j]
+            ? lcs[(i+1)*cols + j + 1] + 1
+            : Math.max(lcs[(i+1)*cols + j], lcs[i*cols + j + 1]);
+        }
+      }
+      let i = 0, j = 0;
+      while(i < n || j < m){
+        if(i < n && j < m && a[start+i] === b[start+j]){ push('equal', a[start+i]); i++; j++; }
+        else if(i < n && (j === m || lcs[(i+1)*cols + j] >= lcs[i*cols + j + 1])){ push('delete', a[start+i]); i++; }
+        else { push('insert', b[start+j]); j++; }
+      }
+    }
+    a.slice(endA).forEach(w => push('equal', w));
+    return ops;
+  }
+
+  function diffTotals(report){
+    return report.pages.reduce((t, p) => ({
+      inserted: t.inserted + p.inserted,
+      deleted: t.deleted + p.deleted,
+      changedPages: t.changedPages + (p.inserted || p.deleted ? 1 : 0)
+    }), {inserted: 0, deleted: 0, changedPages: 0});
+  }
+
+  function diffPageHtml(page){
+    const body = page.ops.map(op => {
+      const text = escapeHtml(op.words.join(' '));
+      if(op.type === 'insert') return `<ins>${text}</ins>`;
+      if(op.type === 'delete') return `<del>${text}</del>`;
+      return text;
+    }).join(' ');
+    const counts = page.inserted || page.deleted ? `+${page.inserted} / −${page.deleted} words` : 'No changes';
+    return `<div class="diff-page"><div class="diff-page-header"><span>Page ${page.pageNum}</span><span>${counts}</span></div>
+      <div class="diff-page-body">${body || '<span class="muted">No text on this page</span>'}</div></div>`;
+  }
+
+  function diffSummaryText(report){
+    const totals = diffTotals(report);
+    return `${totals.inserted} words inserted, ${totals.deleted} deleted across ${totals.changedPages} of ${report.pages.length} pages`;
+  }
+
+  function renderDiffReport(report){
+    compareReport.innerHTML = `<div class="muted small" style="margin-bottom:8px">${escapeHtml(diffSummaryText(report))}</div>`
+      + report.pages.map(diffPageHtml).join('');
+  }
+
+  function diffReportFileName(ext){
+    const base = compareTextReport.nameB.replace(/\.pdf$/i, '');
+    return `${base}-redline.${ext}`;
+  }
+
+  function exportDiffHtml(){
+    if(!compareTextReport) return;
+    const report = compareTextReport;
+    const html = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Redline: ${escapeHtml(report.nameA)} → ${escapeHtml(report.nameB)}</title>
+<style>
+body{font-family:system-ui,sans-serif;max-width:900px;margin:32px auto;padding:0 16px;color:#1f2937}
+.muted{color:#6b7280}
+.diff-page{padding:12px 14px;margin-bottom:12px;border:1px solid #e5e7eb;border-radius:8px}
+.diff-page-header{display:flex;justify-content:space-between;font-weight:600;margin-bottom:6px}
+.diff-page-body{line-height:1.6;white-space:pre-wrap}
+ins{background:#dcfce7;color:#166534}
+del{background:#fee2e2;color:#991b1b}
+</style></head><body>
+<h1>Redline</h1>
+<p><del>${escapeHtml(report.nameA)}</del> → <ins>${escapeHtml(report.nameB)}</ins></p>
+<p class="muted">${escapeHtml(diffSummaryText(report))}</p>
+${report.pages.map(diffPageHtml).join('\n')}
+</body></html>`;
+    saveAs(new Blob([html], {type: 'text/html;charset=utf-8'}), diffReportFileName('html'));
+    toastSuccess('Redline exported as HTML');
+  }
+
+  // Standard fonts only cover WinAnsi; anything else is replaced so drawText cannot throw
+  function winAnsiSafe(font, text){
+    try { font.widthOfTextAtSize(text, 10); return text; }
+    catch(_) {
+      return Array.from(text).map(ch => { try { font.widthOfTextAtSize(ch, 10); return ch; } catch(e){ return '?'; } }).join('');
+    }
+  }
+
+  async function exportDiffPdf(){
+    if(!compareTextReport) return;
+    const report = compareTextReport;
+    try{
+      showOverlay('Generating redline PDF...');
+      processingStartTime = Date.now();
+      const doc = await PDFLib.PDFDocument.create();
+      const font = await doc.embedFont(PDFLib.StandardFonts.Helvetica);
+      const bold = await doc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+      const [pageW, pageH] = [595.28, 841.89]; // A4
+      const margin = 48, size = 10, lineHeight = 15;
+      const colors = {equal: PDFLib.rgb(0.12,0.16,0.22), insert: PDFLib.rgb(0.09,0.5,0.24), delete: PDFLib.rgb(0.75,0.11,0.11)};
+      let page = doc.addPage([pageW, pageH]);
+      let y = pageH - margin;
+      const newLine = (height = lineHeight) => {
+        y -= height;
+        if(y < margin){ page = doc.addPage([pageW, pageH]); y = pageH - margin - height; }
+      };
+      const heading = (text, headingSize) => {
+        newLine(headingSize + 8);
+        page.drawText(winAnsiSafe(bold, text), {x: margin, y, size: headingSize, font: bold, color: colors.equal});
+      };
+
+      y += lineHeight;
+      heading('Redline', 18);
+      heading(`${report.nameA} -> ${report.nameB}`, 11);
+      newLine();
+      page.drawText(winAnsiSafe(font, diffSummaryText(report)), {x: margin, y, size, font, color: colors.equal});
+      for(const p of report.pages){
+        newLine(8);
+        heading(`Page ${p.pageNum}   ` + (p.inserted || p.deleted ? `+${p.inserted} / -${p.deleted} words` : 'No changes'), 12);
+        newLine();
+        let x = margin;
+        for(const op of p.ops){
+          for(const raw of op.words){
+            const word = winAnsiSafe(font, raw);
+            const w = font.widthOfTextAtSize(word, size);
+            const space = font.widthOfTextAtSize(' ', size);
+            if(x + w > pageW - margin && x > margin){ newLine(); x = margin; }
+            page.drawText(word, {x, y, size, font, color: colors[op.type]});
+            if(op.type === 'delete'){
+              page.drawLine({start: {x, y: y + size * 0.3}, end: {x: x + w, y: y + size * 0.3}, thickness: 0.8, color: colors.delete});
+            } else if(op.type === 'insert'){
+              page.drawLine({start: {x, y: y - 1.5}, end: {x: x + w, y: y - 1.5}, thickness: 0.8, color: colors.insert});
+            }
+            x += w + space;
+          }
+        }
+      }
+      const bytes = await doc.save();
+      saveAs(new Blob([bytes], {type: 'application/pdf'}), diffReportFileName('pdf'));
+      processingTimes.push(Date.now() - processingStartTime);
+      totalProcessed++;
+      updateCounters();
+      hideOverlay();
+      toastSuccess('Redline exported as PDF');
+      playSound('complete');
+    } catch(err){
+      hideOverlay();
+      toastError('Redline export failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+    }
+  }
+
+  // ---------- Extract Text ----------
+  const extractDrop = document.getElementById('extractDrop');
+  const extractedText = document.getElementById('extractedText');
+  let extractedPages = []; // {pageNum, text} from the last extraction; runs and paragraphs are added when needed
+  let extractedDoc = null;
+  document.getElementById('extractOpenBtn').addEventListener('click', ()=> chooseGlobalFiles());
+  document.getElementById('extractRunBtn').addEventListener('click', ()=> {
+    if(!currentPdfJsDoc) Swal.fire('No PDF','Open a PDF in Viewer first (or upload here).','info');
+    else extractTextFromPdf(currentPdfJsDoc);
+  });
+  document.getElementById('downloadTxtBtn').addEventListener('click', async ()=>{
+    const txt = extractedText.value || '';
+    if(!txt) { toastError('No text to download'); return; }
+    if(document.getElementById('extractPerPage').checked && extractedPages.length){
+      await downloadPerPageText();
+      return;
+    }
+    const blob = new Blob([txt], {type:'text/plain;charset=utf-8'});
+    saveAs(blob, 'extracted.txt');
+    toastSuccess('Downloaded extracted text');
+  });
+  document.getElementById('downloadJsonBtn').addEventListener('click', ()=> downloadStructuredText('json'));
+  document.getElementById('downloadMdBtn').addEventListener('click', ()=> downloadStructuredText('md'));
+  document.getElementById('downloadHtmlBtn').addEventListener('click', ()=> downloadStructuredText('html'));
+
+  extractDrop.addEventListener('drop', async (ev)=>{
+    ev.preventDefault();
+    const f = ev.dataTransfer.files[0];
+    if(!f) return;
+    const sb = await f.arrayBuffer();
+    currentPdfJsDoc = await pdfjsLib.getDocument({data: sb}).promise;
+    Swal.fire('Loaded','PDF loaded for text extraction','success');
+    totalUploaded++;
+    updateCounters();
+    storeRecentFiles([f]);
+  });
+
+  // Text of one page as the extractor sees it; the compare word diff reads pages the same way
+  async function extractPageText(page){
+    const content = await page.getTextContent();
+    return content.items.map(it => it.str).join(' ');
+  }
+
+  async function extractTextFromPdf(pdfjsDoc){
+    try{
+      showOverlay('Extracting text...', '');
+      processingStartTime = Date.now();
+      const layout = document.getElementById('extractMode').value === 'layout';
+      const formFeed = document.getElementById('extractSeparator').value === 'formfeed';
+      const pages = extractPageNumbers(pdfjsDoc);
+      if(pages.length === 0) throw new Error('None of the requested pages exist in this PDF');
+      let full = '';
+      extractedPages = [];
+      extractedDoc = pdfjsDoc;
+      for(const [idx, i] of pages.entries()){
+        loaderProgress.textContent = `Page ${i} (${idx + 1} / ${pages.length})`;
+        const page = await pdfjsDoc.getPage(i);
+        // Plain mode keeps only the text; runs and layout are built when layout or a structured export asks for them
+        const entry = layout ? {pageNum: i, ...await pageStructure(page)} : {pageNum: i};
+        const text = layout ? entry.paragraphs.map(p => p.text).join('\n\n') : await extractPageText(page);
+        extractedPages.push({...entry, text});
+        // Form feeds go between pages only, so splitting on \f yields exactly one chunk per page
+        if(formFeed) full += (idx ? '\f' : '') + text + '\n';
+        else full += `--- Page ${i} ---\n${text}\n\n`;
+        await new Promise(r=>setTimeout(r,10));
+      }
+      extractedText.value = full;
+      processingTimes.push(Date.now() - processingStartTime);
+      totalProcessed++;
+      updateCounters();
+      // Update KPIs for successful text extraction
+      await updateKPI('processed_today');
+      hideOverlay();
+      toastSuccess('Text extracted');
+      playSound('complete');
+    } catch(err){
+      hideOverlay();
+      toastError('Extraction failed: '+err.message);
+      errorsCount++;
+      updateCounters();
+      playSound('error');
+    }
+  }
+
+  // Pages from the pages field, or every page when it is empty; a range that parses to
+  // nothing ("5-", "3-1", "abc") is an error rather than a silent "all pages"
+  function extractPageNumbers(pdfjsDoc){
+    const spec = document.getElementById('extractPages').value.trim();
+    if(!spec) return Array.from({length: pdfjsDoc.numPages}, (_, i) => i + 1);
+    const requested = parsePages(spec);
+    if(requested.length === 0 || requested.some(n => !Number.isInteger(n))){
+      throw new Error(`Invalid page range "${spec}" — pages run from 1 to ${pdfjsDoc.numPages}`);
+    }
+    return [...new Set(requested)].filter(n => n >= 1 && n <= pdfjsDoc.numPages);
+  }
+
+  async function downloadPerPageText(){
+    try{
+      showOverlay('Creating ZIP file...');
+      const zip = new JSZip();
+      const width = String(Math.max(...extractedPages.map(p => p.pageNum))).length;
+      extractedPages.forEach(p => zip.file(`page-${String(p.pageNum).padStart(width, '0')}.txt`, p.text + '\n'));
+      const content = await zip.generateAsync({type: 'blob'});
+      saveAs(content, 'extracted-pages.zip');
+      hideOverlay();
+      toastSuccess(`Downloaded ${extractedPages.length} page file(s)`);
+    } catch(err){
+      hideOverlay();
+      toastError('ZIP creation failed: ' + err.message);
+    }
+  }
+
+  // ---------- Layout Text Extraction ----------
+  // Rebuilds reading order from item positions: runs on a shared baseline become line
+  // segments, segments are split into columns by the gutters between them, and each
+  // column is read top to bottom before the next one. Full-width segments (titles,
+  // captions) interrupt the columns and are read in place.
+  // Coordinates are viewport units at scale 1 with the origin at the top left.
+
+  async function getPageRuns(page){
+    const viewport = page.getViewport({scale: 1});
+    const content = await page.getTextContent();
+    const runs = content.items.filter(it => it.str && it.str.trim()).map(it => {
+      const tx = pdfjsLib.Util.transform(viewport.transform, it.transform);
+      const fontSize = Math.hypot(tx[2], tx[3]) || Math.hypot(tx[0], tx[1]) || 1;
+      const style = content.styles[it.fontName] || {};
+      return {
+        text: it.str,
+        x: tx[4],
+        y: tx[5] - fontSize,
+        width: it.width * viewport.scale,
+        height: fontSize,
+        fontSize: Math.round(fontSize * 10) / 10,
+        fontName: it.fontName,
+        fontFamily: style.fontFamily || ''
+      };
+    });
+    return {width: viewport.width, height: viewport.height, runs};
+  }
+
+  async function pageStructure(page){
+    const pageRuns = await getPageRuns(page);
+    return {width: pageRuns.width, height: pageRuns.height, runs: pageRuns.runs, paragraphs: layoutPage(pageRuns), fontsResolved: false};
+  }
+
+  // Returns paragraphs in reading order: {text, lines, fontSize, x, y, width, height}
+  function layoutPage({runs}){
+    if(!runs.length) return [];
+    const segments = buildSegments(runs);
+    const columns = detectColumns(segments);
+    return readingOrderFlows(segments, columns).flatMap(flow => buildParagraphs(flowLines(flow)));
+  }
+
+  // Runs sharing a baseline, split wherever the horizontal gap is wider than about an em
+  function buildSegments(runs){
+    const sorted = runs.slice().sort((a, b) => (a.y + a.height) - (b.y + b.height) || a.x - b.x);
+    const rows = [];
+    for(const run of sorted){
+      const baseline = run.y + run.height;
+      const row = rows[rows.length - 1];
+      if(row && Math.abs(baseline - row.baseline) <= Math.min(run.height, row.height) * 0.5) row.runs.push(run);
+      else rows.push({baseline, height: run.height, runs: [run]});
+    }
+    const segments = [];
+    for(const row of rows){
+      row.runs.sort((a, b) => a.x - b.x);
+      let current = null;
+      for(const run of row.runs){
+        if(current && run.x - current.x1 <= Math.max(run.height, current.fontSize)){
+          current.runs.push(run);
+          current.x1 = Math.max(current.x1, run.x + run.width);
+          current.top = Math.min(current.top, run.y);
+          current.fontSize = Math.max(current.fontSize, run.fontSize);
+        } else {
+          current = {runs: [run], x0: run.x, x1: run.x + run.width, top: run.y, baseline: row.baseline, fontSize: run.fontSize};
+          segments.push(current);
+        }
+      }
+    }
+    return segments;
+  }
+
+  // Column intervals from the horizontal coverage of narrow segments. Layouts that do not
+  // look like 2–4 reasonably wide columns (tables, scattered labels) are read as one column.
+  function detectColumns(segments){
+    const left = Math.min(...segments.map(s => s.x0));
+    const right = Math.max(...segments.map(s => s.x1));
+    const textWidth = right - left || 1;
+    const narrow = segments.filter(s => s.x1 - s.x0 < textWidth * 0.55).sort((a, b) => a.x0 - b.x0);
+    const intervals = [];
+    for(const s of narrow){
+      const last = intervals[intervals.length - 1];
+      if(last && s.x0 <= last.x1 + s.fontSize * 0.5) last.x1 = Math.max(last.x1, s.x1);
+      else intervals.push({x0: s.x0, x1: s.x1});
+    }
+    const plausible = intervals.length >= 2 && intervals.length <= 4
+      && intervals.every(c => c.x1 - c.x0 >= textWidth * 0.2);
+    return plausible ? intervals : [{x0: left, x1: right}];
+  }
+
+  // Splits the page into flows: each column of a band between full-width segments is one flow
+  function readingOrderFlows(segments, columns){
+    const flows = [];
+    let band = columns.map(() => []);
+    const flushBand = () => {
+      band.forEach(col => { if(col.length) flows.push(col); });
+      band = columns.map(() => []);
+    };
+    for(const seg of segments.slice().sort((a, b) => a.top - b.top || a.x0 - b.x0)){
+      const hits = columns.map((c, idx) => seg.x0 < c.x1 && seg.x1 > c.x0 ? idx : -1).filter(idx => idx >= 0);
+      if(hits.length === 1) band[hits[0]].push(seg);
+      else { flushBand(); flows.push([seg]); }
+    }
+    flushBand();
+    return flows;
+  }
+
+  // Segments of one flow that share a baseline (table cells) form a single tab-separated line
+  function flowLines(flow){
+    const lines = [];
+    for(const seg of flow.slice().sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0)){
+      const line = lines[lines.length - 1];
+      if(line && Math.abs(seg.baseline - line.baseline) <= seg.fontSize * 0.5){
+        line.segments.push(seg);
+        line.x1 = Math.max(line.x1, seg.x1);
+        line.fontSize = Math.max(line.fontSize, seg.fontSize);
+      } else {
+        lines.push({segments: [seg], x0: seg.x0, x1: seg.x1, top: seg.top, baseline: seg.baseline, fontSize: seg.fontSize});
+      }
+    }
+    lines.forEach(line => {
+      line.segments.sort((a, b) => a.x0 - b.x0);
+      line.runs = line.segments.flatMap(seg => seg.runs);
+      line.tabular = line.segments.length > 1;
+      line.text = line.segments.map(segmentText).join('\t');
+    });
+    return lines;
+  }
+
+  function segmentText(seg){
+    let text = '';
+    let prev = null;
+    for(const run of seg.runs){
+      const gap = prev ? run.x - (prev.x + prev.width) : 0;
+      if(prev && gap > run.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(run.text)) text += ' ';
+      text += run.text;
+      prev = run;
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // A new paragraph starts after a vertical gap taller than most line spacing, or when the font size changes
+  function buildParagraphs(lines){
+    const paragraphs = [];
+    let current = null;
+    for(const line of lines){
+      const prev = current && current.lines[current.lines.length - 1];
+      const gap = prev ? line.top - prev.baseline : 0;
+      const sameSize = prev && Math.abs(line.fontSize - prev.fontSize) <= 1;
+      if(prev && sameSize && gap <= prev.fontSize * 0.8){
+        current.text = line.tabular || prev.tabular ? current.text + '\n' + line.text : joinLines(current.text, line.text);
+        current.lines.push(line);
+      } else {
+        current = {lines: [line], text: line.text};
+        paragraphs.push(current);
+      }
+    }
+    paragraphs.forEach(p => {
+      const x0 = Math.min(...p.lines.map(l => l.x0));
+      const x1 = Math.max(...p.lines.map(l => l.x1));
+      const last = p.lines[p.lines.length - 1];
+      Object.assign(p, {fontSize: p.lines[0].fontSize, x: x0, y: p.lines[0].top, width: x1 - x0, height: last.baseline - p.lines[0].top});
+    });
+    return paragraphs;
+  }
+
+  // "exam-" + "ple" becomes "example"; hyphens before capitals or digits are kept
+  function joinLines(text, next){
+    if(/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next)) return text.slice(0, -1) + next;
+    return text + ' ' + next;
+  }
+
+  // ---------- Structured Text Export ----------
+  // Text content only knows pdf.js font ids (g_d0_f1); the real font names are
+  // available once the page's operator list has loaded the fonts.
+  async function resolveFontNames(page, runs){
+    try{
+      await page.getOperatorList();
+      const names = new Map();
+      for(const run of runs){
+        if(!names.has(run.fontName)){
+          const font = page.commonObjs.has(run.fontName) ? page.commonObjs.get(run.fontName) : null;
+          names.set(run.fontName, font && font.name ? font.name : run.fontFamily || run.fontName);
+        }
+        run.fontName = names.get(run.fontName);
+      }
+    } catch(err){
+      console.warn('Could not resolve font names:', err);
+    }
+  }
+
+  // Body size is the size carrying the most text; each larger size becomes a heading level
+  function headingLevels(pages){
+    const weight = new Map();
+    pages.forEach(p => p.runs.forEach(r => weight.set(r.fontSize, (weight.get(r.fontSize) || 0) + r.text.length)));
+    if(!weight.size) return {body: 0, levels: new Map()};
+    const body = [...weight.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const larger = [...weight.keys()].filter(size => size > body + 1).sort((a, b) => b - a);
+    return {body, levels: new Map(larger.map((size, idx) => [size, Math.min(idx + 1, 6)]))};
+  }
+
+  function paragraphLevel(paragraph, levels){
+    // Long blocks in a large size are pull quotes or lead paragraphs, not headings
+    return paragraph.text.length <= 200 ? levels.get(paragraph.fontSize) || 0 : 0;
+  }
+
+  function structuredJson(pages){
+    const round = n => Math.round(n * 100) / 100;
+    return JSON.stringify({
+      pages: pages.map(p => ({
+        page: p.pageNum,
+        width: round(p.width),
+        height: round(p.height),
+        runs: p.runs.map(r => ({
+          text: r.text,
+          bbox: [round(r.x), round(r.y), round(r.x + r.width), round(r.y + r.height)],
+          font: r.fontName,
+          size: r.fontSize
+        }))
+      }))
+    }, null, 2);
+  }
+
+  function structuredMarkdown(pages){
+    const {levels} = headingLevels(pages);
+    return pages.map(p => p.paragraphs.map(para => {
+      const level = paragraphLevel(para, levels);
+      if(level) return '#'.repeat(level) + ' ' + para.text.replace(/\s+/g, ' ');
+      // Markdown needs two trailing spaces to keep table-like line breaks
+      return para.text.replace(/\n/g, '  \n');
+    }).join('\n\n')).join('\n\n---\n\n') + '\n';
+  }
+
+  function structuredHtml(pages){
+    const {levels} = headingLevels(pages);
+    const body = pages.map(p => {
+      const blocks = p.paragraphs.map(para => {
+        const level = paragraphLevel(para, levels);
+        return level
+          ? `<h${level}>${escapeHtml(para.text)}</h${level}>`
+          : `<p>${escapeHtml(para.text).replace(/\n/g, '<br>')}</p>`;
+      }).join('\n');
+      return `<section data-page="${p.pageNum}">\n${blocks}\n</section>`;
+    }).join('\n<hr>\n');
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Extracted text</title>
+<style>body{font-family:system-ui,sans-serif;max-width:820px;margin:32px auto;padding:0 16px;line-height:1.6}</style>
+</head><body>
+${body}
+</body></html>`;
+  }
+
+  // Fills in runs and paragraphs for pages extracted in plain mode; only JSON needs the real font names
+  async function ensureStructuredPages(withFonts){
+    const missing = extractedPages.filter(p => !p.runs || (withFonts && !p.fontsResolved));
+    if(!missing.length) return;
+    try{
+      showOverlay('Analysing page structure...', '');
+      for(const [idx, entry] of missing.entries()){
+        loaderProgress.textContent = `Page ${entry.pageNum} (${idx + 1} / ${missing.length})`;
+        const page = await extractedDoc.getPage(entry.pageNum);
+        if(!entry.runs) Object.assign(entry, await pageStructure(page));
+        if(withFonts){
+          await resolveFontNames(page, entry.runs);
+          entry.fontsResolved = true;
+        }
+      }
+    } finally {
+      hideOverlay();
+    }
+  }
+
+  async function downloadStructuredText(format){
+    if(!extractedPages.length) { toastError('Extract text first'); return; }
+    try{
+      await ensureStructuredPages(format === 'json');
+    } catch(err){
+      toastError('Could not analyse page structure: ' + err.message);
+      return;
+    }
+    const outputs = {
+      json: () => new Blob([structuredJson(extractedPages)], {type: 'application/json'}),
+      md: () => new Blob([structuredMarkdown(extractedPages)], {type: 'text/markdown;charset=utf-8'}),
+      html: () => new Blob([structuredHtml(extractedPages)], {type: 'text/html;charset=utf-8'})
+    };
+    saveAs(outputs[format](), 'extracted.' + format);
+    toastSuccess(`Downloaded extracted text as .${format}`);
+  }
+
+  // ---------- Table Extract ----------
+  // Tables come from two sources: ruling lines drawn in the content stream (bordered
+  // tables) and consecutive rows that break into several aligned segments (borderless
+  // statements). A table is a list of column and row boundaries in viewport units at
+  // scale 1; a cell takes every run whose centre falls inside it.
+  const TABLE_PREVIEW_SCALE = 1.5;
+  const TABLE_PREVIEW_MARGIN = 12;
+  const tablesInput = document.getElementById('tablesInput');
+  const tablesResults = document.getElementById('tablesResults');
+  let tablesPdfDoc = null;
+  let tablesFileName = 'tables';
+  let detectedTables = [];
+
+  document.getElementById('tablesChoose').addEventListener('click', ()=> tablesInput.click());
+  tablesInput.addEventListener('change', async (e)=> {
+    const f = e.target.files[0];
+    if(f) await loadTablesFile(f);
+  });
+  document.getElementById('tablesDrop').addEventListener('drop', async (ev)=> { ev.preventDefault(); const f = ev.dataTransfer.files[0]; if(f) await loadTablesFile(f); });
+  document.getElementById('tablesRun').addEventListener('click', ()=> detectTables());
+  document.getElementById('tablesZipBtn').addEventListener('click', ()=> downloadAllTables());
+
+  async function loadTablesFile(file){
+    try{
+      const bytes = await file.arrayBuffer();
+      if(tablesPdfDoc) tablesPdfDoc.destroy();
+      tablesPdfDoc = await pdfjsLib.getDocument({data: bytes}).promise;
+      tablesFileName = file.name.replace(/\.pdf$/i, '');
+      totalUploaded++;
+      updateCounters();
+      storeRecentFiles([file]);
+      Swal.fire('Loaded','PDF loaded for table extraction','success');
+    } catch(err){
+      toastError('Could not load PDF: ' + err.message);
+    }
+  }
+
+  async function detectTables(){
+    if(!tablesPdfDoc) { Swal.fire('No PDF','Upload a PDF to extract tables from','info'); return; }
+    const total = tablesPdfDoc.numPages;
+    const requested = parsePages(document.getElementById('tablesPages').value);
+    const pages = (requested.length ? requested : Array.from({length: total}, (_, i) => i + 1)).filter(n => n >= 1 && n <= total);
+    if(pages.length === 0) { Swal.fire('No pages','None of those pages exist in this PDF','info'); return; }
+    try{
+      showOverlay('Detecting tables...', '');
+      processingStartTime = Date.now();
+      detectedTables = [];
+      for(const [idx, pageNum] of pages.entries()){
+        loaderProgress.textContent = `Page ${pageNum} (${idx + 1} / ${pages.length})`;
+        const page = await tablesPdfDoc.getPage(pageNum);
+        const {runs} = await getPageRuns(page);
+        const rules = await getRulingLines(page);
+        detectPageTables(runs, rules).forEach(table => detectedTables.push({...table, pageNum, runs}));
+      }
+      await renderTableCards();
+      document.getElementById('tablesZipBtn').disabled = detectedTables.length === 0;
+      processingTimes.push(Date.now() - processingStartTime);
+      totalProcessed++;
+      updateCounters();
+      hideOverlay();
+      if(detectedTables.length) toastSuccess(`${detectedTables.length} table(s) detected`);
+      else Swal.fire('No tables found','No tabular regions were detected on those pages','info');
+      playSound('complete');
+    } catch(err){
+      hideOverlay();
+      toastError('Table detection failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+      playSound('error');
+    }
+  }
+
+  // Horizontal and vertical strokes or thin fills from the operator list, in viewport
+  // coordinates. Paths that are only used for clipping end in endPath and are dropped.
+  async function getRulingLines(page){
+    const OPS = pdfjsLib.OPS;
+    const Util = pdfjsLib.Util;
+    const viewport = page.getViewport({scale: 1});
+    const opList = await page.getOperatorList();
+    const paintOps = new Set([OPS.stroke, OPS.closeStroke, OPS.fill, OPS.eoFill, OPS.fillStroke,
+      OPS.eoFillStroke, OPS.closeFillStroke, OPS.closeEOFillStroke]);
+    const horizontal = [], vertical = [];
+    const stack = [];
+    let ctm = viewport.transform.slice();
+    let pending = [];
+    const addSegment = (x0, y0, x1, y1) => {
+      const [ax, ay] = Util.applyTransform([x0, y0], ctm);
+      const [bx, by] = Util.applyTransform([x1, y1], ctm);
+      pending.push([ax, ay, bx, by]);
+    };
+    for(let i = 0; i < opList.fnArray.length; i++){
+      const fn = opList.fnArray[i];
+      const args = opList.argsArray[i];
+      if(fn === OPS.save) stack.push(ctm.slice());
+      else if(fn === OPS.restore) ctm = stack.pop() || ctm;
+      else if(fn === OPS.transform) ctm = Util.transform(ctm, args);
+      else if(fn === OPS.endPath) pending = [];
+      else if(paintOps.has(fn)){
+        pending.forEach(([ax, ay, bx, by]) => {
+          const w = Math.abs(bx - ax), h = Math.abs(by - ay);
+          if(h <= 2.5 && w > 4) horizontal.push({y: (ay + by) / 2, x0: Math.min(ax, bx), x1: Math.max(ax, bx)});
+          else if(w <= 2.5 && h > 4) vertical.push({x: (ax + bx) / 2, y0: Math.min(ay, by), y1: Math.max(ay, by)});
+        });
+        pending = [];
+      }
+      else if(fn === OPS.constructPath){
+        const [ops, coords] = args;
+        let c = 0, cx = 0, cy = 0, sx = 0, sy = 0;
+        for(const op of ops){
+          if(op === OPS.rectangle){
+            const [x, y, w, h] = coords.slice(c, c + 4);
+            c += 4;
+            const [ax, ay] = Util.applyTransform([x, y], ctm);
+            const [bx, by] = Util.applyTransform([x + w, y + h], ctm);
+            // Thin filled rectangles are how many generators draw rules; larger ones contribute their edges
+            if(Math.abs(by - ay) <= 2.5) pending.push([ax, (ay + by) / 2, bx, (ay + by) / 2]);
+            else if(Math.abs(bx - ax) <= 2.5) pending.push([(ax + bx) / 2, ay, (ax + bx) / 2, by]);
+            else pending.push([ax, ay, bx, ay], [ax, by, bx, by], [ax, ay, ax, by], [bx, ay, bx, by]);
+          } else if(op === OPS.moveTo){
+            cx = sx = coords[c]; cy = sy = coords[c + 1]; c += 2;
+          } else if(op === OPS.lineTo){
+            addSegment(cx, cy, coords[c], coords[c + 1]);
+            cx = coords[c]; cy = coords[c + 1]; c += 2;
+          } else if(op === OPS.curveTo){
+            cx = coords[c + 4]; cy = coords[c + 5]; c += 6;
+          } else if(op === OPS.curveTo2 || op === OPS.curveTo3){
+            cx = coords[c + 2]; cy = coords[c + 3]; c += 4;
+          } else if(op === OPS.closePath){
+            addSegment(cx, cy, sx, sy);
+            cx = sx; cy = sy;
+          }
+        }
+      }
+    }
+    return {horizontal, vertical};
+  }
+
+  function detectPageTables(runs, rules){
+    const ruled = ruledTables(rules);
+    return ruled.concat(textTables(runs, ruled));
+  }
+
+  // Averages values closer than the tolerance, e.g. the double strokes of a border
+  function clusterValues(values, tol = 2){
+    const clusters = [];
+    values.slice().sort((a, b) => a - b).forEach(v => {
+      const last = clusters[clusters.length - 1];
+      if(last && v - last.max <= tol){ last.sum += v; last.count++; last.max = v; }
+      else clusters.push({sum: v, count: 1, max: v});
+    });
+    return clusters.map(c => c.sum / c.count);
+  }
+
+  // Groups rules that touch each other; a group with at least two rows and two columns is a table
+  function ruledTables({horizontal, vertical}){
+    const tol = 3;
+    const parent = horizontal.concat(vertical).map((_, i) => i);
+    const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+    horizontal.forEach((h, hi) => vertical.forEach((v, vi) => {
+      if(v.x >= h.x0 - tol && v.x <= h.x1 + tol && h.y >= v.y0 - tol && h.y <= v.y1 + tol){
+        parent[find(hi)] = find(horizontal.length + vi);
+      }
+    }));
+    const groups = new Map();
+    horizontal.concat(vertical).forEach((line, i) => {
+      const root = find(i);
+      if(!groups.has(root)) groups.set(root, {hs: [], vs: []});
+      groups.get(root)[i < horizontal.length ? 'hs' : 'vs'].push(line);
+    });
+    const tables = [];
+    groups.forEach(({hs, vs}) => {
+      const rows = clusterValues(hs.map(h => h.y));
+      const cols = clusterValues(vs.map(v => v.x));
+      if(rows.length >= 3 && cols.length >= 3) tables.push({cols, rows, ruled: true});
+    });
+    return tables;
+  }
+
+  // Borderless tables: three or more consecutive rows that each split into several segments.
+  // Two wide columns are ordinary two-column text rather than a table.
+  function textTables(runs, exclude){
+    const inside = (x, y, t) => x >= t.cols[0] && x <= t.cols[t.cols.length - 1] && y >= t.rows[0] && y <= t.rows[t.rows.length - 1];
+    const segments = buildSegments(runs)
+      .filter(s => !exclude.some(t => inside((s.x0 + s.x1) / 2, (s.top + s.baseline) / 2, t)));
+    const rows = [];
+    segments.sort((a, b) => a.baseline - b.baseline || a.x0 - b.x0).forEach(seg => {
+      const row = rows[rows.length - 1];
+      if(row && Math.abs(seg.baseline - row.baseline) <= seg.fontSize * 0.5){
+        row.segments.push(seg);
+        row.top = Math.min(row.top, seg.top);
+      } else {
+        rows.push({segments: [seg], top: seg.top, baseline: seg.baseline, fontSize: seg.fontSize});
+      }
+    });
+    const regions = [];
+    let current = null;
+    for(const row of rows){
+      const multi = row.segments.length >= 2;
+      const last = current && current.rows[current.rows.length - 1];
+      if(multi && last && row.top - last.baseline <= row.fontSize * 2.5) current.rows.push(row);
+      else if(multi){ current = {rows: [row]}; regions.push(current); }
+      else current = null;
+    }
+    return regions.filter(r => r.rows.length >= 3).map(regionGrid).filter(Boolean);
+  }
+
+  function regionGrid(region){
+    const segs = region.rows.flatMap(r => r.segments).sort((a, b) => a.x0 - b.x0);
+    const intervals = [];
+    for(const s of segs){
+      const last = intervals[intervals.length - 1];
+      if(last && s.x0 <= last.x1 + s.fontSize * 0.3) last.x1 = Math.max(last.x1, s.x1);
+      else intervals.push({x0: s.x0, x1: s.x1});
+    }
+    if(intervals.length < 2) return null;
+    const width = intervals[intervals.length - 1].x1 - intervals[0].x0;
+    if(intervals.filter(c => c.x1 - c.x0 > width * 0.35).length >= 2) return null;
+    const cols = [intervals[0].x0 - 2];
+    for(let i = 1; i < intervals.length; i++) cols.push((intervals[i - 1].x1 + intervals[i].x0) / 2);
+    cols.push(intervals[intervals.length - 1].x1 + 2);
+    const rows = [region.rows[0].top - 2];
+    for(let i = 1; i < region.rows.length; i++) rows.push((region.rows[i - 1].baseline + region.rows[i].top) / 2);
+    rows.push(region.rows[region.rows.length - 1].baseline + 2);
+    return {cols, rows, ruled: false};
+  }
+
+  function slotIndex(bounds, value){
+    for(let i = 0; i < bounds.length - 1; i++){
+      if(value >= bounds[i] && value < bounds[i + 1]) return i;
+    }
+    return -1;
+  }
+
+  // Cell texts row by row; rows left completely empty by the grid are dropped
+  function tableCells(table){
+    const grid = Array.from({length: table.rows.length - 1}, () => Array.from({length: table.cols.length - 1}, () => []));
+    table.runs.forEach(run => {
+      const row = slotIndex(table.rows, run.y + run.height / 2);
+      const col = slotIndex(table.cols, run.x + run.width / 2);
+      if(row >= 0 && col >= 0) grid[row][col].push(run);
+    });
+    return grid
+      .map(row => row.map(cell => cell.sort((a, b) => a.y - b.y || a.x - b.x).map(r => r.text).join(' ').replace(/\s+/g, ' ').trim()))
+      .filter(row => row.some(Boolean));
+  }
+
+  async function renderTableCards(){
+    tablesResults.innerHTML = '';
+    const pageImages = new Map();
+    for(const [idx, table] of detectedTables.entries()){
+      if(!pageImages.has(table.pageNum)){
+        const full = document.createElement('canvas');
+        await renderPageToCanvas(await tablesPdfDoc.getPage(table.pageNum), full, TABLE_PREVIEW_SCALE);
+        pageImages.set(table.pageNum, full);
+      }
+      table.image = cropTableImage(pageImages.get(table.pageNum), table);
+      const card = document.createElement('div');
+      card.className = 'table-card';
+      card.innerHTML = `<div class="table-card-header">
+          <div><strong>Table ${idx + 1}</strong> <span class="muted small">Page ${table.pageNum}${table.ruled ? ' · ruled' : ''}</span></div>
+          <button class="btn small"><i class="fa-solid fa-download"></i> Download</button>
+        </div>`;
+      const canvas = document.createElement('canvas');
+      const preview = document.createElement('div');
+      preview.className = 'table-preview';
+      card.append(canvas, preview);
+      tablesResults.appendChild(card);
+      table.canvas = canvas;
+      table.preview = preview;
+      canvas.addEventListener('click', (ev)=> editTableGrid(table, ev));
+      card.querySelector('button').addEventListener('click', ()=> downloadTable(table, idx));
+      drawTableGrid(table);
+    }
+  }
+
+  function cropTableImage(full, table){
+    const x0 = Math.max(0, table.cols[0] - TABLE_PREVIEW_MARGIN);
+    const y0 = Math.max(0, table.rows[0] - TABLE_PREVIEW_MARGIN);
+    const x1 = Math.min(full.width / TABLE_PREVIEW_SCALE, table.cols[table.cols.length - 1] + TABLE_PREVIEW_MARGIN);
+    const y1 = Math.min(full.height / TABLE_PREVIEW_SCALE, table.rows[table.rows.length - 1] + TABLE_PREVIEW_MARGIN);
+    const crop = document.createElement('canvas');
+    crop.width = Math.max(1, Math.round((x1 - x0) * TABLE_PREVIEW_SCALE));
+    crop.height = Math.max(1, Math.round((y1 - y0) * TABLE_PREVIEW_SCALE));
+    crop.getContext('2d').drawImage(full, -x0 * TABLE_PREVIEW_SCALE, -y0 * TABLE_PREVIEW_SCALE);
+    return {canvas: crop, x0, y0};
+  }
+
+  function drawTableGrid(table){
+    const {canvas, image} = table;
+    const s = TABLE_PREVIEW_SCALE;
+    canvas.width = image.canvas.width;
+    canvas.height = image.canvas.height;
+    const gctx = canvas.getContext('2d');
+    gctx.drawImage(image.canvas, 0, 0);
+    gctx.strokeStyle = 'rgba(14,165,233,0.9)';
+    gctx.lineWidth = 1.5;
+    const top = (table.rows[0] - image.y0) * s, bottom = (table.rows[table.rows.length - 1] - image.y0) * s;
+    const left = (table.cols[0] - image.x0) * s, right = (table.cols[table.cols.length - 1] - image.x0) * s;
+    gctx.beginPath();
+    table.cols.forEach(x => { gctx.moveTo((x - image.x0) * s, top); gctx.lineTo((x - image.x0) * s, bottom); });
+    table.rows.forEach(y => { gctx.moveTo(left, (y - image.y0) * s); gctx.lineTo(right, (y - image.y0) * s); });
+    gctx.stroke();
+    const rows = tableCells(table);
+    table.preview.innerHTML = `<table>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</table>`;
+  }
+
+  // Click toggles a column divider, Shift+click a row divider; outer edges stay fixed
+  function editTableGrid(table, ev){
+    const rect = table.canvas.getBoundingClientRect();
+    const s = TABLE_PREVIEW_SCALE;
+    const x = table.image.x0 + (ev.clientX - rect.left) * (table.canvas.width / rect.width) / s;
+    const y = table.image.y0 + (ev.clientY - rect.top) * (table.canvas.height / rect.height) / s;
+    const bounds = ev.shiftKey ? table.rows : table.cols;
+    const value = ev.shiftKey ? y : x;
+    const tol = 4;
+    const hit = bounds.findIndex((b, i) => i > 0 && i < bounds.length - 1 && Math.abs(b - value) <= tol);
+    if(hit >= 0) bounds.splice(hit, 1);
+    else if(value > bounds[0] && value < bounds[bounds.length - 1]){
+      bounds.push(value);
+      bounds.sort((a, b) => a - b);
+    } else return;
+    drawTableGrid(table);
+  }
+
+  function tableToCsv(rows){
+    return rows.map(row => row.map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Plain numbers and unambiguous thousands grouping ("1,234.5", "1,234,567") only; leading
+  // zeros, decimal commas and a lone "1,234" stay text so IDs and locale formats survive
+  function xlsxNumber(cell){
+    const value = cell.trim();
+    if(/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return value;
+    if(/^-?[1-9]\d{0,2}((,\d{3}){2,}(\.\d+)?|,\d{3}\.\d+)$/.test(value)) return value.replace(/,/g, '');
+    return null;
+  }
+
+  // Minimal SpreadsheetML package with a single sheet; numeric cells are stored as numbers
+  async function tableToXlsx(rows){
+    const xml = str => escapeHtml(str.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+    const colName = idx => { let name = ''; for(let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name; return name; };
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((cell, c) => {
+      const ref = colName(c) + (r + 1);
+      const numeric = xlsxNumber(cell);
+      if(numeric !== null) return `<c r="${ref}"><v>${numeric}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(cell)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', header + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>');
+    zip.file('_rels/.rels', header + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>');
+    zip.file('xl/workbook.xml', header + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + '<sheets><sheet name="Table" sheetId="1" r:id="rId1"/></sheets></workbook>');
+    zip.file('xl/_rels/workbook.xml.rels', header + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml', header + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${sheetRows}</sheetData></worksheet>`);
+    return zip.generateAsync({type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
+  }
+
+  async function tableFile(table, idx){
+    const format = document.getElementById('tablesFormat').value;
+    const rows = tableCells(table);
+    const name = `${tablesFileName}-p${table.pageNum}-table${idx + 1}.${format}`;
+    const blob = format === 'xlsx' ? await tableToXlsx(rows) : new Blob([tableToCsv(rows)], {type: 'text/csv;charset=utf-8'});
+    return {name, blob};
+  }
+
+  async function downloadTable(table, idx){
+    try{
+      const {name, blob} = await tableFile(table, idx);
+      saveAs(blob, name);
+      toastSuccess('Table downloaded');
+    } catch(err){
+      toastError('Table export failed: ' + err.message);
+    }
+  }
+
+  async function downloadAllTables(){
+    if(!detectedTables.length) return;
+    try{
+      showOverlay('Creating ZIP file...');
+      const zip = new JSZip();
+      for(const [idx, table] of detectedTables.entries()){
+        const {name, blob} = await tableFile(table, idx);
+        zip.file(name, blob);
+      }
+      const content = await zip.generateAsync({type: 'blob'});
+      saveAs(content, `${tablesFileName}-tables.zip`);
+      totalProcessed++;
+      updateCounters();
+      hideOverlay();
+      toastSuccess('Tables downloaded as ZIP');
+      playSound('complete');
+    } catch(err){
+      hideOverlay();
+      toastError('ZIP creation failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+    }
+  }
+
+  // ---------- Merge PDFs ----------
+  const mergeInput = document.getElementById('mergeInput');
+  const mergeList = document.getElementById('mergeList');
+  let mergeFiles = [];
+  // Per-file merge settings: page-range spec, extra rotation, page count and cached thumbnails
+  const mergeSettings = new WeakMap();
+  const MERGE_THUMB_LIMIT = 12;
+  const MERGE_THUMB_HEIGHT = 64;
+  // pdf.js documents are opened one at a time and only a few stay open; thumbnails are
+  // drawn for rows near the viewport, page counts for every row
+  const MERGE_OPEN_DOC_LIMIT = 4;
+  const mergeOpenDocs = []; // files with an open preview document, least recently used first
+  let mergeDocQueue = Promise.resolve();
+  const visibleMergeRows = new WeakSet();
+  const mergeRowObserver = new IntersectionObserver(entries => entries.forEach(entry => {
+    if(!entry.isIntersecting){ visibleMergeRows.delete(entry.target); return; }
+    visibleMergeRows.add(entry.target);
+    const file = mergeFiles[Number(entry.target.dataset.index)];
+    if(file) updateMergeThumbs(file, entry.target);
+  }), {rootMargin: '200px 0px'});
+  document.getElementById('mergeChoose').addEventListener('click', ()=> mergeInput.click());
+  mergeInput.addEventListener('change', (e)=> {
+    const files = [...e.target.files];
+    if (files.length === 0) return;
+
+    // Reset merge files for new batch
+    mergeFiles.forEach(releaseMergeFile);
+    mergeFiles = [];
+
+    // Use batch processor for unlimited file support
+    batchProcessor.onComplete = (results) => {
+      showNotification(`${results.filesProcessed} files ready to merge — set page ranges and rotation, then Merge & Download`, 'success');
+      renderMergeList(); // Update UI with collected files
+    };
+    batchProcessor.onError = (file, error) => {
+      showNotification(`Failed to prepare ${file.name} for merge: ${error.message}`, 'error');
+    };
+
+    batchProcessor.addFiles(files, 'merge');
+    totalUploaded += files.length;
+    updateCounters();
+    // Don't set mergeFiles here - let batch processor collect them
+  });
+  document.getElementById('mergeRun').addEventListener('click', ()=> mergePdfs());
+  document.getElementById('downloadFailedZip').addEventListener('click', async ()=> {
+    if(failedItems.length === 0) return;
     try{
       showOverlay('Creating ZIP...');
       const zip = new JSZip();
@@ -2357,22 +4516,219 @@ class ModernDropzone {
   document.getElementById('mergeUp').addEventListener('click', ()=> moveSelectedInMerge(-1));
   document.getElementById('mergeDown').addEventListener('click', ()=> moveSelectedInMerge(1));
   document.getElementById('mergeRemove').addEventListener('click', ()=> removeSelectedInMerge());
+  document.getElementById('mergeSort').addEventListener('change', (e)=> { sortMergeFiles(e.target.value); e.target.value = ''; });
 
-  function renderMergeList(){
+  function renderMergeList(selected = 0){
+    mergeRowObserver.disconnect();
     mergeList.innerHTML = '';
+    updateMergeTotal();
     if(mergeFiles.length===0){ mergeList.textContent='No files selected. Drag PDFs here or click Choose.'; return; }
     const ul = document.createElement('div');
-    ul.style.display='flex'; ul.style.flexDirection='column'; ul.style.gap='8px';
+    ul.className = 'merge-rows';
     mergeFiles.forEach((f, idx) => {
+      const settings = getMergeSettings(f);
       const el = document.createElement('div');
-      el.style.display='flex'; el.style.justifyContent='space-between'; el.style.alignItems='center';
-      el.style.padding='8px'; el.style.borderRadius='8px'; el.style.background='var(--glass)';
-      el.innerHTML = `<div style="display:flex;gap:10px;align-items:center"><input type="radio" name="mergeSel" ${idx===0 ? 'checked' : ''}><div style="font-weight:600">${f.name}</div><div class="muted" style="font-size:12px">${(f.size/1024/1024).toFixed(2)} MB</div></div><div>${idx+1}</div>`;
+      el.className = 'merge-row';
+      el.dataset.index = idx;
+      el.innerHTML = `<div class="merge-row-head">
+          <i class="fa-solid fa-grip-vertical merge-handle" title="Drag to reorder"></i>
+          <input type="radio" name="mergeSel" ${idx===selected ? 'checked' : ''}>
+          <img class="merge-cover" alt="">
+          <div style="flex:1;min-width:0;text-align:left">
+            <div style="font-weight:600;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(f.name)}</div>
+            <div class="muted" style="font-size:12px"><span class="merge-page-count">…</span> · ${(f.size/1024/1024).toFixed(2)} MB</div>
+          </div>
+          <div>${idx+1}</div>
+          <button class="btn small merge-remove" title="Remove from merge"><i class="fa-solid fa-xmark"></i></button>
+        </div>
+        <div class="merge-options">
+          <label class="muted small">Pages</label>
+          <input class="merge-pages" placeholder="All (e.g. 1-3,7)" value="${escapeHtml(settings.pages)}">
+          <label class="muted small">Rotate</label>
+          <select class="merge-rotation">${[0, 90, 180, 270].map(a => `<option value="${a}" ${settings.rotation === a ? 'selected' : ''}>${a}°</option>`).join('')}</select>
+          <span class="muted small merge-page-note"></span>
+        </div>
+        <div class="merge-thumbs"></div>`;
+      el.querySelector('.merge-pages').addEventListener('change', (e)=> { settings.pages = e.target.value.trim(); updateMergeThumbs(f, el); });
+      el.querySelector('.merge-rotation').addEventListener('change', (e)=> { settings.rotation = Number(e.target.value); updateMergeThumbs(f, el); });
+      el.querySelector('.merge-remove').addEventListener('click', ()=> {
+        const removed = Number(el.dataset.index);
+        const current = getSelectedMergeIndex();
+        mergeFiles.splice(removed, 1).forEach(releaseMergeFile);
+        // Keep the checked file selected; rows after the removed one shift up by one
+        renderMergeList(Math.max(0, Math.min(current > removed ? current - 1 : current, mergeFiles.length - 1)));
+      });
+      bindMergeRowDrag(el);
       ul.appendChild(el);
+      mergeRowObserver.observe(el);
+      updateMergeThumbs(f, el);
     });
     mergeList.appendChild(ul);
   }
 
+  const MERGE_ROW_TYPE = 'application/x-merge-row';
+
+  // Rows drag only from the grip, so the range field still takes mouse selection
+  function bindMergeRowDrag(row){
+    const handle = row.querySelector('.merge-handle');
+    handle.addEventListener('mousedown', ()=> { row.draggable = true; });
+    handle.addEventListener('mouseup', ()=> { row.draggable = false; });
+    row.addEventListener('dragstart', (ev)=> { ev.dataTransfer.setData(MERGE_ROW_TYPE, row.dataset.index); row.classList.add('dragging'); });
+    row.addEventListener('dragend', ()=> { row.draggable = false; row.classList.remove('dragging'); });
+    row.addEventListener('dragover', (ev)=> {
+      if(!ev.dataTransfer.types.includes(MERGE_ROW_TYPE)) return;
+      ev.preventDefault();
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', ()=> row.classList.remove('drop-target'));
+    row.addEventListener('drop', (ev)=> {
+      ev.preventDefault();
+      ev.stopPropagation();
+      row.classList.remove('drop-target');
+      const data = ev.dataTransfer.getData(MERGE_ROW_TYPE);
+      const from = Number(data);
+      const to = Number(row.dataset.index);
+      if(data === '' || from === to) return;
+      const item = mergeFiles.splice(from, 1)[0];
+      mergeFiles.splice(to, 0, item);
+      renderMergeList(to);
+    });
+  }
+
+  const mergeCollator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+  function sortMergeFiles(order){
+    const sorters = {
+      name: (a, b) => a.name.localeCompare(b.name),
+      date: (a, b) => a.lastModified - b.lastModified,
+      natural: (a, b) => mergeCollator.compare(a.name, b.name)
+    };
+    if(!sorters[order]) return;
+    mergeFiles.sort(sorters[order]);
+    renderMergeList();
+  }
+
+  // Pages the merge will produce with the current ranges; files still loading are counted once ready
+  function updateMergeTotal(){
+    let pages = 0;
+    let pending = 0;
+    let invalid = 0;
+    mergeFiles.forEach(f => {
+      const settings = getMergeSettings(f);
+      if(settings.numPages === null){ pending++; return; }
+      try{ pages += mergePageIndices(settings, settings.numPages).length; } catch(err){ invalid++; }
+    });
+    const size = mergeFiles.reduce((sum, f) => sum + f.size, 0);
+    const notes = [pending ? `${pending} still loading` : '', invalid ? `${invalid} with invalid ranges` : ''].filter(Boolean).join(', ');
+    document.getElementById('mergeTotal').textContent = mergeFiles.length
+      ? `${mergeFiles.length} file(s) · ${pages} page(s) · ${(size/1024/1024).toFixed(2)} MB${notes ? ` (${notes})` : ''}`
+      : '';
+  }
+
+  function getMergeSettings(file){
+    if(!mergeSettings.has(file)) mergeSettings.set(file, {pages: '', rotation: 0, numPages: null, doc: null, thumbs: new Map(), thumbToken: 0});
+    return mergeSettings.get(file);
+  }
+
+  // Runs fn with the file's pdf.js document, opening it if needed. Calls are queued so
+  // only one document is being read at a time; afterwards the least recently used
+  // documents beyond MERGE_OPEN_DOC_LIMIT are closed again.
+  function withMergeDoc(file, fn){
+    const run = mergeDocQueue.then(async () => {
+      const settings = getMergeSettings(file);
+      if(!settings.doc) settings.doc = file.arrayBuffer().then(buf => pdfjsLib.getDocument({data: buf}).promise);
+      const idx = mergeOpenDocs.indexOf(file);
+      if(idx >= 0) mergeOpenDocs.splice(idx, 1);
+      mergeOpenDocs.push(file);
+      try{
+        return await fn(await settings.doc);
+      } finally {
+        while(mergeOpenDocs.length > MERGE_OPEN_DOC_LIMIT) closeMergeDoc(mergeOpenDocs.shift());
+      }
+    });
+    mergeDocQueue = run.catch(() => {});
+    return run;
+  }
+
+  function closeMergeDoc(file){
+    const settings = mergeSettings.get(file);
+    if(settings && settings.doc){
+      settings.doc.then(doc => doc.destroy(), () => {});
+      settings.doc = null;
+    }
+  }
+
+  // Frees the preview document once a file leaves the merge list
+  function releaseMergeFile(file){
+    const idx = mergeOpenDocs.indexOf(file);
+    if(idx >= 0) mergeOpenDocs.splice(idx, 1);
+    closeMergeDoc(file);
+    mergeSettings.delete(file);
+  }
+
+  // Zero-based page indices selected by a file's range spec, in spec order; throws on a bad spec
+  function mergePageIndices(settings, numPages){
+    if(!settings.pages) return Array.from({length: numPages}, (_, i) => i);
+    const pages = parsePages(settings.pages);
+    const bad = pages.find(n => !Number.isInteger(n) || n < 1 || n > numPages);
+    if(pages.length === 0 || bad !== undefined){
+      throw new Error(`Invalid page range "${settings.pages}" — pages run from 1 to ${numPages}`);
+    }
+    return pages.map(n => n - 1);
+  }
+
+  async function updateMergeThumbs(file, row){
+    const settings = getMergeSettings(file);
+    const strip = row.querySelector('.merge-thumbs');
+    const note = row.querySelector('.merge-page-note');
+    const input = row.querySelector('.merge-pages');
+    const token = ++settings.thumbToken;
+    try{
+      if(settings.numPages === null) settings.numPages = await withMergeDoc(file, doc => doc.numPages);
+      row.querySelector('.merge-page-count').textContent = `${settings.numPages} page(s)`;
+      updateMergeTotal();
+      let indices;
+      try{
+        indices = mergePageIndices(settings, settings.numPages);
+        input.classList.remove('invalid');
+        note.textContent = `${indices.length} of ${settings.numPages} page(s)`;
+      } catch(err){
+        input.classList.add('invalid');
+        note.textContent = err.message;
+        strip.innerHTML = '';
+        indices = [];
+      }
+      // Off-screen rows are drawn by mergeRowObserver when they scroll into view
+      if(!visibleMergeRows.has(row)) return;
+      const rotation = settings.rotation;
+      const shown = indices.slice(0, MERGE_THUMB_LIMIT);
+      const missing = [...new Set([0, ...shown])].filter(index => !settings.thumbs.has(`${index}:${rotation}`));
+      if(missing.length){
+        await withMergeDoc(file, async doc => {
+          for(const index of missing) settings.thumbs.set(`${index}:${rotation}`, await mergeThumbnail(doc, index + 1, rotation));
+        });
+      }
+      // A later edit may have re-rendered the row while thumbnails were drawing
+      if(token !== settings.thumbToken || !row.isConnected) return;
+      row.querySelector('.merge-cover').src = settings.thumbs.get(`0:${rotation}`);
+      if(!shown.length) return;
+      strip.innerHTML = shown.map(index => `<figure><img src="${settings.thumbs.get(`${index}:${rotation}`)}" alt="Page ${index + 1}"><figcaption>${index + 1}</figcaption></figure>`).join('') +
+        (indices.length > shown.length ? `<span class="muted small">+${indices.length - shown.length} more</span>` : '');
+    } catch(err){
+      note.textContent = 'Preview unavailable: ' + err.message;
+    }
+  }
+
+  async function mergeThumbnail(doc, pageNum, rotation){
+    const page = await doc.getPage(pageNum);
+    const base = page.getViewport({scale: 1, rotation: page.rotate + rotation});
+    const viewport = page.getViewport({scale: MERGE_THUMB_HEIGHT * 2 / base.height, rotation: page.rotate + rotation});
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    await page.render({canvasContext: canvas.getContext('2d'), viewport}).promise;
+    return canvas.toDataURL('image/jpeg', 0.7);
+  }
+
   function getSelectedMergeIndex(){
     const radios = mergeList.querySelectorAll('input[name="mergeSel"]');
     for(let i=0;i<radios.length;i++) if(radios[i].checked) return i;
@@ -2384,18 +4740,26 @@ class ModernDropzone {
     if(newIdx<0 || newIdx>=mergeFiles.length) return;
     const item = mergeFiles.splice(idx,1)[0];
     mergeFiles.splice(newIdx,0,item);
-    renderMergeList();
+    renderMergeList(newIdx);
   }
   function removeSelectedInMerge(){
     const idx = getSelectedMergeIndex();
-    mergeFiles.splice(idx,1);
-    renderMergeList();
+    mergeFiles.splice(idx,1).forEach(releaseMergeFile);
+    renderMergeList(Math.min(idx, mergeFiles.length - 1));
   }
 
   async function mergePdfs(){
     if(mergeFiles.length<2) { Swal.fire('Need at least 2 PDFs','Choose two or more PDFs to merge.','warning'); return; }
 
     // Check for large files and warn user
+    // Bad range specs are caught up front rather than dropping a file halfway through
+    const badRange = mergeFiles.find(f => {
+      const settings = getMergeSettings(f);
+      if(settings.numPages === null) return false;
+      try{ mergePageIndices(settings, settings.numPages); return false; } catch(err){ return true; }
+    });
+    if(badRange){ Swal.fire('Invalid page range', `Check the pages for ${badRange.name}`, 'warning'); return; }
+
     const largeFiles = mergeFiles.filter(f => f.size > 50 * 1024 * 1024); // 50MB threshold
     if(largeFiles.length > 0){
       const proceed = await Swal.fire({
@@ -2414,6 +4778,9 @@ class ModernDropzone {
       const mergedPdf = await PDFLib.PDFDocument.create();
       failedItems = [];
       let totalPagesProcessed = 0;
+      const keepOutlines = document.getElementById('mergeKeepOutlines').checked;
+      const fileBookmarks = document.getElementById('mergeFileBookmarks').checked;
+      const outlineSections = [];
 
       for(let i=0;i<mergeFiles.length;i++){
         loaderProgress.textContent = `Processing ${i+1}/${mergeFiles.length}: ${mergeFiles[i].name}`;
@@ -2430,34 +4797,46 @@ class ModernDropzone {
           }
 
           const donor = await PDFLib.PDFDocument.load(arr);
-          const pageIndices = donor.getPageIndices();
+          const settings = getMergeSettings(mergeFiles[i]);
+          const pageIndices = mergePageIndices(settings, donor.getPageCount());
 
           // Check if adding this file would exceed reasonable limits
           if(totalPagesProcessed + pageIndices.length > 1000){
             throw new Error(`Too many pages (${totalPagesProcessed + pageIndices.length}). Maximum 1000 pages supported.`);
           }
 
+          const pageMap = new Map(); // source page index -> merged page index (first copy wins)
           for(let j=0; j<pageIndices.length; j++){
             try{
               const copied = await mergedPdf.copyPages(donor, [pageIndices[j]]);
-              copied.forEach(p => mergedPdf.addPage(p));
+              copied.forEach(p => {
+                if(settings.rotation) p.setRotation(PDFLib.degrees((p.getRotation().angle + settings.rotation) % 360));
+                mergedPdf.addPage(p);
+              });
+              if(!pageMap.has(pageIndices[j])) pageMap.set(pageIndices[j], mergedPdf.getPageCount() - 1);
               totalPagesProcessed++;
             } catch(pageErr){
               errorsCount++;
-              errorNotifications.push({fileName: mergeFiles[i].name, pageNumber: j+1, errorMessage: pageErr.message});
+              errorNotifications.push({fileName: mergeFiles[i].name, pageNumber: pageIndices[j]+1, errorMessage: pageErr.message});
               // Create single page PDF for failed page
               try{
                 const singlePdf = await PDFLib.PDFDocument.create();
                 const copiedPage = await singlePdf.copyPages(donor, [pageIndices[j]]);
                 copiedPage.forEach(p => singlePdf.addPage(p));
                 const bytes = await singlePdf.save();
-                failedItems.push({name: `${mergeFiles[i].name}_page_${j+1}.pdf`, blob: new Blob([bytes], {type:'application/pdf'})});
+                failedItems.push({name: `${mergeFiles[i].name}_page_${pageIndices[j]+1}.pdf`, blob: new Blob([bytes], {type:'application/pdf'})});
               } catch(singleErr){
                 console.error('Failed to create single page PDF:', singleErr);
               }
               updateCounters();
             }
           }
+          if((keepOutlines || fileBookmarks) && pageMap.size){
+            const items = keepOutlines ? await mergeSourceOutline(mergeFiles[i], pageMap) : [];
+            if(items.length || fileBookmarks){
+              outlineSections.push({title: mergeFiles[i].name.replace(/\.pdf$/i, ''), pageIndex: Math.min(...pageMap.values()), view: null, children: items});
+            }
+          }
           totalProcessed++; // per file loaded successfully
 
           // Force garbage collection hint and small delay
@@ -2474,6 +4853,7 @@ class ModernDropzone {
 
       if(mergedPdf.getPageCount() > 0){
         try{
+          if(outlineSections.length) writeOutline(mergedPdf, outlineSections);
           const out = await mergedPdf.save();
           saveAs(new Blob([out],{type:'application/pdf'}), 'merged.pdf');
           toastSuccess(`Merged PDF saved (${mergedPdf.getPageCount()} pages)`);
@@ -2504,6 +4884,77 @@ class ModernDropzone {
     }
   }
 
+  // ---------- Merge Outlines ----------
+  // Each source's outline is read with pdf.js, re-pointed at the merged page indices and written
+  // back with pdf-lib under one top-level entry per file. Entries whose page was left out of the
+  // merge are dropped, unless they still have children, in which case they open the first child.
+
+  function mergeSourceOutline(file, pageMap){
+    return withMergeDoc(file, async doc => {
+      const outline = await doc.getOutline();
+      return outline ? remapOutlineItems(outline, doc, pageMap) : [];
+    });
+  }
+
+  async function remapOutlineItems(items, doc, pageMap){
+    const nodes = [];
+    for(const item of items){
+      const children = item.items && item.items.length ? await remapOutlineItems(item.items, doc, pageMap) : [];
+      const dest = item.dest ? await outlineDestination(doc, item.dest) : null;
+      const pageIndex = dest ? pageMap.get(dest.pageNum - 1) : undefined;
+      if(pageIndex !== undefined) nodes.push({title: item.title, pageIndex, view: dest.view, children});
+      else if(children.length) nodes.push({title: item.title, pageIndex: children[0].pageIndex, view: children[0].view, children});
+    }
+    return nodes;
+  }
+
+  // Page number plus the view part of an explicit destination, e.g. [{name:'XYZ'}, left, top, zoom]
+  async function outlineDestination(doc, dest){
+    const pageNum = await resolveDestPage(doc, dest);
+    if(!pageNum) return null;
+    const destArray = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+    const view = destArray.slice(1);
+    return {pageNum, view: view.length && view[0] && view[0].name ? view : null};
+  }
+
+  // Writes a fresh /Outlines tree; top-level entries start open, nested ones closed
+  function writeOutline(pdfDoc, nodes){
+    const {context} = pdfDoc;
+    const pages = pdfDoc.getPages();
+    const rootRef = context.nextRef();
+
+    const writeLevel = (levelNodes, parentRef, open) => {
+      const refs = levelNodes.map(() => context.nextRef());
+      let visible = 0;
+      levelNodes.forEach((node, idx) => {
+        const [name, ...args] = node.view || [{name: 'Fit'}];
+        const entry = context.obj({
+          Title: PDFLib.PDFHexString.fromText(node.title || 'Untitled'),
+          Parent: parentRef,
+          Dest: context.obj([pages[node.pageIndex].ref, PDFLib.PDFName.of(name.name), ...args.map(v => typeof v === 'number' ? v : null)])
+        });
+        if(idx > 0) entry.set(PDFLib.PDFName.of('Prev'), refs[idx - 1]);
+        if(idx < refs.length - 1) entry.set(PDFLib.PDFName.of('Next'), refs[idx + 1]);
+        if(node.children.length){
+          const childOpen = parentRef === rootRef;
+          const childVisible = writeLevel(node.children, refs[idx], childOpen);
+          entry.set(PDFLib.PDFName.of('First'), childVisible.first);
+          entry.set(PDFLib.PDFName.of('Last'), childVisible.last);
+          entry.set(PDFLib.PDFName.of('Count'), PDFLib.PDFNumber.of(childOpen ? childVisible.count : -node.children.length));
+          if(childOpen) visible += childVisible.count;
+        }
+        context.assign(refs[idx], entry);
+        visible++;
+      });
+      return {first: refs[0], last: refs[refs.length - 1], count: open ? visible : levelNodes.length};
+    };
+
+    const top = writeLevel(nodes, rootRef, true);
+    context.assign(rootRef, context.obj({Type: 'Outlines', First: top.first, Last: top.last, Count: top.count}));
+    pdfDoc.catalog.set(PDFLib.PDFName.of('Outlines'), rootRef);
+    pdfDoc.catalog.set(PDFLib.PDFName.of('PageMode'), PDFLib.PDFName.of('UseOutlines'));
+  }
+
   // ---------- Split PDF ----------
   const splitInput = document.getElementById('splitInput');
   const splitThumbs = document.getElementById('splitThumbs');
@@ -2998,25 +5449,24 @@ class ModernDropzone {
 
   let splitBookmarksFiles = [];
 
+  // Resolve a named or explicit destination to a 1-based page number (null if unresolvable)
+  async function resolveDestPage(pdfJsDoc, dest){
+    try{
+      const destArray = typeof dest === 'string' ? await pdfJsDoc.getDestination(dest) : dest;
+      if(!Array.isArray(destArray) || destArray[0] == null) return null;
+      const ref = destArray[0];
+      // Some producers write a page index instead of a page reference
+      if(typeof ref === 'number') return ref + 1;
+      return (await pdfJsDoc.getPageIndex(ref)) + 1;
+    } catch(e){
+      return null;
+    }
+  }
+
   async function flattenOutline(items, level = 0, pdfJsDoc){
     const bookmarks = [];
     for(const item of items){
-      const dest = item.dest;
-      let pageNum = 1;
-      if(dest && typeof dest === 'string'){
-        try{
-          const destArray = await pdfJsDoc.getDestination(dest);
-          if(destArray && destArray[0]){
-            const idx = await pdfJsDoc.getPageIndex(destArray[0]);
-            pageNum = idx + 1;
-          }
-        } catch(e){ pageNum = 1; }
-      } else if(dest && Array.isArray(dest) && dest[0]){
-        try{
-          const idx = await pdfJsDoc.getPageIndex(dest[0]);
-          pageNum = idx + 1;
-        } catch(e){ pageNum = 1; }
-      }
+      const pageNum = item.dest ? (await resolveDestPage(pdfJsDoc, item.dest)) || 1 : 1;
       bookmarks.push({title: item.title, pageNum, level});
       if(item.items){
         const subBookmarks = await flattenOutline(item.items, level + 1, pdfJsDoc);
@@ -3309,6 +5759,72 @@ class ModernDropzone {
     if(f) { ocrFile = f; Swal.fire('Loaded','File loaded for OCR','success'); }
   });
   document.getElementById('ocrRun').addEventListener('click', ()=> runOcr());
+  document.getElementById('ocrExportPdf').addEventListener('click', ()=> exportSearchablePdf());
+  document.getElementById('ocrEngineBtn').addEventListener('click', ()=> configureOcrEngine());
+
+  // Language selection survives reloads; several selected languages are combined as eng+deu
+  const ocrLanguageSelect = document.getElementById('ocrLanguages');
+  const savedOcrLanguages = (localStorage.getItem('pdftk.ocrLangs') || 'eng').split('+');
+  Array.from(ocrLanguageSelect.options).forEach(o => { o.selected = savedOcrLanguages.includes(o.value); });
+  ocrLanguageSelect.addEventListener('change', ()=> localStorage.setItem('pdftk.ocrLangs', ocrLanguages()));
+
+  function ocrLanguages(){
+    const selected = Array.from(ocrLanguageSelect.selectedOptions).map(o => o.value);
+    return selected.length ? selected.join('+') : 'eng';
+  }
+
+  // Worker, core and traineddata locations. Empty fields fall back to the Tesseract.js CDN defaults,
+  // so offline installs can serve everything from the app's own origin.
+  // Read at start-up by the OCR pool, so a corrupt stored value must not throw
+  function ocrEnginePaths(){
+    try{
+      const paths = JSON.parse(localStorage.getItem('pdftk.ocrPaths') || '{}');
+      return paths && typeof paths === 'object' ? paths : {};
+    } catch(err){
+      console.warn('Ignoring invalid OCR engine settings:', err);
+      return {};
+    }
+  }
+
+  function ocrEngineOptions(){
+    const {workerPath, corePath, langPath, gzip} = ocrEnginePaths();
+    const options = {};
+    if(workerPath) options.workerPath = workerPath;
+    if(corePath) options.corePath = corePath;
+    if(langPath) options.langPath = langPath;
+    if(gzip === false) options.gzip = false;
+    return options;
+  }
+
+  async function configureOcrEngine(){
+    const paths = ocrEnginePaths();
+    const field = (id, label, value, placeholder) => `<label class="muted small" style="display:block;text-align:left;margin-top:10px">${label}</label>
+      <input id="${id}" class="swal2-input" style="margin:4px 0 0;width:100%" value="${escapeHtml(value || '')}" placeholder="${placeholder}">`;
+    const result = await Swal.fire({
+      title: 'OCR engine files',
+      html: field('ocrWorkerPath', 'Worker script', paths.workerPath, '/tesseract/worker.min.js')
+        + field('ocrCorePath', 'Core (WASM) script', paths.corePath, '/tesseract/tesseract-core.wasm.js')
+        + field('ocrLangPath', 'Language data folder', paths.langPath, '/tesseract/lang-data')
+        + field('ocrWorkers', 'Parallel workers (empty for automatic)', paths.workers ? String(paths.workers) : '', String(ocrPool.size))
+        + `<label class="muted small" style="display:flex;gap:6px;align-items:center;margin-top:10px">
+             <input type="checkbox" id="ocrGzip" ${paths.gzip === false ? '' : 'checked'}> Language files are gzipped (.traineddata.gz)</label>
+           <div class="muted small" style="text-align:left;margin-top:10px">Leave empty to load from the public CDN.</div>`,
+      showCancelButton: true,
+      confirmButtonText: 'Save',
+      preConfirm: () => ({
+        workerPath: document.getElementById('ocrWorkerPath').value.trim(),
+        corePath: document.getElementById('ocrCorePath').value.trim(),
+        langPath: document.getElementById('ocrLangPath').value.trim(),
+        workers: Math.min(8, Math.max(0, parseInt(document.getElementById('ocrWorkers').value) || 0)),
+        gzip: document.getElementById('ocrGzip').checked
+      })
+    });
+    if(!result.isConfirmed) return;
+    localStorage.setItem('pdftk.ocrPaths', JSON.stringify(result.value));
+    // Extra warm workers are left to the idle timeout; new work respects the new size
+    ocrPool.size = result.value.workers || new OcrWorkerPool().size;
+    toastSuccess('OCR engine locations saved');
+  }
   document.getElementById('ocrDrop').addEventListener('drop', async (ev)=> { ev.preventDefault(); const f = ev.dataTransfer.files[0]; if(f){ ocrFile = f; Swal.fire('Loaded','File loaded for OCR','success'); } });
 
   // ---------- Add Signature ----------
@@ -3323,11 +5839,327 @@ class ModernDropzone {
   // ---------- Search PDF ----------
   document.getElementById('searchChoose').addEventListener('click', ()=> document.getElementById('searchInput').click());
   document.getElementById('searchInput').addEventListener('change', async (e)=> {
-    const f = e.target.files[0];
-    if(f) { searchPdfFile = f; Swal.fire('Loaded','PDF loaded for search','success'); }
+    const files = [...e.target.files];
+    e.target.value = '';
+    if(files.length) await addSearchFiles(files);
   });
   document.getElementById('searchRun').addEventListener('click', ()=> searchPdf());
-  document.getElementById('searchDrop').addEventListener('drop', async (ev)=> { ev.preventDefault(); const f = ev.dataTransfer.files[0]; if(f){ searchPdfFile = f; Swal.fire('Loaded','PDF loaded for search','success'); } });
+  document.getElementById('searchTerm').addEventListener('keypress', (e)=> { if(e.key === 'Enter') searchPdf(); });
+  document.getElementById('searchDrop').addEventListener('drop', async (ev)=> {
+    ev.preventDefault();
+    const files = [...ev.dataTransfer.files].filter(f => f.type === 'application/pdf');
+    if(files.length) await addSearchFiles(files);
+  });
+  document.getElementById('searchClearIndex').addEventListener('click', ()=> clearSearchIndex());
+  document.getElementById('searchExportCsv').addEventListener('click', ()=> exportSearchHitsCsv());
+  document.getElementById('searchMode').addEventListener('change', ()=> updateSearchModeControls());
+  updateSearchModeControls();
+  document.getElementById('searchResults').addEventListener('click', (ev)=> {
+    const hit = ev.target.closest('.search-hit');
+    if(hit) openSearchHit(hit.dataset.hash, Number(hit.dataset.page));
+  });
+  updateSearchIndexStatus();
+
+  // ---------- Search Index ----------
+  // Full-text inverted index over every PDF added to the Search tool, kept in IndexedDB:
+  //   searchDocs      one record per file hash: name, page count, token count
+  //   searchPages     page text keyed "hash:page", for snippets
+  //   searchPostings  [term, "hash:page"] -> term frequency and page length
+  // Files are hashed first, so a document that is already indexed is never parsed again.
+  // Results are ranked by how many query terms a page contains, then by BM25.
+  const SEARCH_RESULT_LIMIT = 50;
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const searchFileByHash = new Map(); // files added this session, for opening hits in the Viewer
+
+  function searchTokens(text){
+    return text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '')
+      .split(/[^\p{L}\p{N}]+/u).filter(t => t && t.length <= 40);
+  }
+
+  async function addSearchFiles(files){
+    try{
+      showOverlay('Indexing PDFs...', '');
+      totalUploaded += files.length;
+      updateCounters();
+      let added = 0;
+      for(const [idx, file] of files.entries()){
+        loaderProgress.textContent = `${file.name} (${idx + 1} / ${files.length})`;
+        const bytes = await file.arrayBuffer();
+        const hash = await hashBytes(bytes);
+        searchFileByHash.set(hash, file);
+        if(await idbGet('searchDocs', hash)) continue;
+        await indexSearchDocument(file, hash, bytes);
+        added++;
+      }
+      hideOverlay();
+      await updateSearchIndexStatus();
+      const known = files.length - added;
+      Swal.fire('Loaded', `${added} PDF(s) indexed${known ? `, ${known} already in the index` : ''}`, 'success');
+    } catch(err){
+      hideOverlay();
+      toastError('Indexing failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+    }
+  }
+
+  async function indexSearchDocument(file, hash, bytes){
+    const doc = await pdfjsLib.getDocument({data: bytes}).promise;
+    try{
+      const pages = [];
+      const postings = [];
+      let tokenCount = 0;
+      for(let i=1;i<=doc.numPages;i++){
+        const text = await extractPageText(await doc.getPage(i));
+        const tokens = searchTokens(text);
+        const id = `${hash}:${i}`;
+        const tf = new Map();
+        tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        tf.forEach((count, term) => postings.push({term, id, tf: count, len: tokens.length}));
+        pages.push({id, hash, page: i, text});
+        tokenCount += tokens.length;
+      }
+      // The document record goes in with its pages, so a half-indexed file is never taken as done
+      await idbTransaction(['searchDocs', 'searchPages', 'searchPostings'], 'readwrite', tx => {
+        pages.forEach(p => tx.objectStore('searchPages').put(p));
+        postings.forEach(p => tx.objectStore('searchPostings').put(p));
+        tx.objectStore('searchDocs').put({hash, name: file.name, size: file.size, numPages: doc.numPages, tokens: tokenCount, indexed: Date.now()});
+      });
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  function termPostings(term){
+    return idbGetAll('searchPostings', IDBKeyRange.bound([term, ''], [term, '\uffff']));
+  }
+
+  async function querySearchIndex(query){
+    const terms = [...new Set(searchTokens(query))];
+    const docs = await idbGetAll('searchDocs');
+    if(!terms.length || !docs.length) return [];
+    const pageCount = docs.reduce((sum, d) => sum + d.numPages, 0);
+    const avgLen = docs.reduce((sum, d) => sum + d.tokens, 0) / pageCount || 1;
+    const scored = new Map();
+    for(const term of terms){
+      const postings = await termPostings(term);
+      const idf = Math.log(1 + (pageCount - postings.length + 0.5) / (postings.length + 0.5));
+      postings.forEach(p => {
+        const hit = scored.get(p.id) || {id: p.id, matched: 0, score: 0};
+        hit.matched++;
+        hit.score += idf * p.tf * (BM25_K1 + 1) / (p.tf + BM25_K1 * (1 - BM25_B + BM25_B * p.len / avgLen));
+        scored.set(p.id, hit);
+      });
+    }
+    const top = [...scored.values()].sort((a, b) => b.matched - a.matched || b.score - a.score).slice(0, SEARCH_RESULT_LIMIT);
+    const names = new Map(docs.map(d => [d.hash, d.name]));
+    return Promise.all(top.map(async hit => {
+      const page = await idbGet('searchPages', hit.id);
+      return {...hit, hash: page.hash, page: page.page, name: names.get(page.hash), text: page.text, terms};
+    }));
+  }
+
+  // ---------- Search Modes ----------
+  // Ranked mode uses the index alone; phrase, regex and fuzzy modes scan the stored page
+  // texts (phrase narrows to pages holding every word first). Each mode yields one hit per
+  // occurrence with its offsets in the page text, so every hit can show its own context.
+  const SEARCH_HIT_DISPLAY_LIMIT = 500;
+  const SEARCH_CONTEXT_CHARS = 60;
+  const WORD_CHAR = '[\\p{L}\\p{N}]';
+  let lastSearchHits = [];
+
+  function searchOptions(){
+    return {
+      mode: document.getElementById('searchMode').value,
+      caseSensitive: document.getElementById('searchCase').checked,
+      wholeWord: document.getElementById('searchWholeWord').checked,
+      maxEdits: Math.min(3, Math.max(1, parseInt(document.getElementById('searchFuzzyDistance').value) || 1))
+    };
+  }
+
+  function updateSearchModeControls(){
+    const mode = document.getElementById('searchMode').value;
+    // Ranked keywords are already case-folded whole tokens; fuzzy always compares whole words
+    document.getElementById('searchCase').disabled = mode === 'ranked';
+    document.getElementById('searchWholeWord').disabled = mode === 'ranked' || mode === 'fuzzy';
+    document.getElementById('searchFuzzyDistance').disabled = mode !== 'fuzzy';
+  }
+
+  // Words of a page with their offsets, for ranked and fuzzy matching
+  function pageWords(text){
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({word: m[0], start: m.index, end: m.index + m[0].length}));
+  }
+
+  function escapeRegExp(str){
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function searchRegExp(source, {caseSensitive, wholeWord}){
+    const body = wholeWord ? `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})` : source;
+    return new RegExp(body, caseSensitive ? 'gu' : 'giu');
+  }
+
+  function regexMatches(text, pattern){
+    const matches = [];
+    for(const m of text.matchAll(pattern)){
+      if(m[0].length) matches.push({start: m.index, end: m.index + m[0].length});
+    }
+    return matches;
+  }
+
+  function fuzzyMatches(text, query, {caseSensitive, maxEdits}){
+    const fold = str => caseSensitive ? str : str.toLowerCase();
+    const target = pageWords(query).map(w => fold(w.word)).join(' ');
+    const size = pageWords(query).length;
+    if(!size) return [];
+    const words = pageWords(text);
+    const matches = [];
+    for(let i=0;i + size <= words.length;i++){
+      const window = words.slice(i, i + size);
+      const candidate = window.map(w => fold(w.word)).join(' ');
+      if(Math.abs(candidate.length - target.length) > maxEdits) continue;
+      if(editDistance(candidate, target, maxEdits) <= maxEdits){
+        matches.push({start: window[0].start, end: window[size - 1].end});
+        i += size - 1;
+      }
+    }
+    return matches;
+  }
+
+  // Levenshtein distance, giving up once every cell in a row exceeds the limit
+  function editDistance(a, b, limit){
+    let prev = Array.from({length: b.length + 1}, (_, j) => j);
+    for(let i=1;i<=a.length;i++){
+      const row = [i];
+      let best = i;
+      for(let j=1;j<=b.length;j++){
+        row[j] = Math.min(prev[j] + 1, row[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+        best = Math.min(best, row[j]);
+      }
+      if(best > limit) return best;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  async function searchPagesWithAllTerms(terms){
+    let ids = null;
+    for(const term of terms){
+      const postings = await termPostings(term);
+      const found = new Set(postings.map(p => p.id));
+      ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+      if(!ids.size) return [];
+    }
+    return Promise.all([...ids].map(id => idbGet('searchPages', id)));
+  }
+
+  async function findSearchHits(query, options){
+    const docs = await idbGetAll('searchDocs');
+    const names = new Map(docs.map(d => [d.hash, d.name]));
+    const hit = (page, {start, end}, extra) => ({hash: page.hash, name: names.get(page.hash) || 'Unknown file', page: page.page, text: page.text, start, end, ...extra});
+
+    if(options.mode === 'ranked'){
+      const ranked = await querySearchIndex(query);
+      return ranked.flatMap(page => {
+        const occurrences = pageWords(page.text).filter(w => page.terms.includes(searchTokens(w.word)[0]));
+        return occurrences.map(w => hit(page, w, {score: page.score}));
+      });
+    }
+
+    let pages;
+    let matcher;
+    if(options.mode === 'regex'){
+      const pattern = searchRegExp(query, options); // throws on an invalid pattern
+      pages = await idbGetAll('searchPages');
+      matcher = text => regexMatches(text, pattern);
+    } else if(options.mode === 'phrase'){
+      const words = query.trim().split(/\s+/).map(escapeRegExp);
+      const pattern = searchRegExp(words.join('\\s+'), options);
+      const terms = [...new Set(searchTokens(query))];
+      pages = terms.length ? await searchPagesWithAllTerms(terms) : await idbGetAll('searchPages');
+      matcher = text => regexMatches(text, pattern);
+    } else {
+      pages = await idbGetAll('searchPages');
+      matcher = text => fuzzyMatches(text, query, options);
+    }
+    pages.sort((a, b) => (names.get(a.hash) || '').localeCompare(names.get(b.hash) || '') || a.page - b.page);
+    return pages.flatMap(page => matcher(page.text).map(m => hit(page, m)));
+  }
+
+  function searchContext(hit, radius = SEARCH_CONTEXT_CHARS){
+    const from = Math.max(0, hit.start - radius);
+    const to = Math.min(hit.text.length, hit.end + radius);
+    const squash = str => str.replace(/\s+/g, ' ');
+    return {
+      before: (from > 0 ? '…' : '') + squash(hit.text.slice(from, hit.start)),
+      match: hit.text.slice(hit.start, hit.end),
+      after: squash(hit.text.slice(hit.end, to)) + (to < hit.text.length ? '…' : '')
+    };
+  }
+
+  function renderSearchHits(hits){
+    const resultsDiv = document.getElementById('searchResults');
+    if(!hits.length){ resultsDiv.innerHTML = 'No matches found'; return; }
+    const pageCount = new Set(hits.map(h => `${h.hash}:${h.page}`)).size;
+    const shown = hits.slice(0, SEARCH_HIT_DISPLAY_LIMIT);
+    resultsDiv.innerHTML = `<div class="muted small" style="margin-bottom:6px">${hits.length} match(es) on ${pageCount} page(s)${hits.length > shown.length ? ` — showing the first ${shown.length}, export CSV for all` : ''}</div>` +
+      shown.map(hit => {
+        const ctx = searchContext(hit);
+        return `
+        <div class="search-hit" data-hash="${hit.hash}" data-page="${hit.page}">
+          <div><strong>${escapeHtml(hit.name)}</strong> <span class="muted small">Page ${hit.page}${hit.score !== undefined ? ` · score ${hit.score.toFixed(2)}` : ''}</span></div>
+          <div class="muted search-hit-context">${escapeHtml(ctx.before)}<mark>${escapeHtml(ctx.match)}</mark>${escapeHtml(ctx.after)}</div>
+        </div>`;
+      }).join('');
+  }
+
+  function exportSearchHitsCsv(){
+    if(!lastSearchHits.length) return;
+    const rows = [['File', 'Page', 'Match', 'Context']].concat(lastSearchHits.map(hit => {
+      const ctx = searchContext(hit);
+      return [hit.name, String(hit.page), ctx.match, ctx.before + ctx.match + ctx.after];
+    }));
+    saveAs(new Blob([tableToCsv(rows)], {type: 'text/csv;charset=utf-8'}), 'search-results.csv');
+  }
+
+  async function updateSearchIndexStatus(){
+    try{
+      const docs = await idbGetAll('searchDocs');
+      const pages = docs.reduce((sum, d) => sum + d.numPages, 0);
+      document.getElementById('searchIndexStatus').textContent = docs.length
+        ? `Index: ${docs.length} document(s), ${pages} page(s)`
+        : 'Index is empty — add PDFs to search them';
+    } catch(err){
+      document.getElementById('searchIndexStatus').textContent = 'Search index unavailable: ' + err.message;
+    }
+  }
+
+  async function clearSearchIndex(){
+    if(!(await confirmDialog('Clear search index?', 'Every indexed document will have to be added again.'))) return;
+    await idbTransaction(['searchDocs', 'searchPages', 'searchPostings'], 'readwrite', tx => {
+      ['searchDocs', 'searchPages', 'searchPostings'].forEach(name => tx.objectStore(name).clear());
+    });
+    searchFileByHash.clear();
+    document.getElementById('searchResults').innerHTML = '';
+    await updateSearchIndexStatus();
+    toastSuccess('Search index cleared');
+  }
+
+  // Hits open from files added this session, or from the Recent store when the file was kept there
+  async function openSearchHit(hash, pageNum){
+    const file = searchFileByHash.get(hash);
+    let opened = false;
+    if(file){
+      await openFileInTool(file, 'viewer');
+      opened = true;
+    } else {
+      const recent = recentFiles.find(r => r.hash === hash);
+      opened = recent ? await reopenRecentFile(recent.id, 'viewer') : false;
+      if(!recent) Swal.fire('File not available','Add this PDF to Search again to open it in the Viewer','info');
+    }
+    if(opened) navigateToPage(pageNum);
+  }
 
   // ---------- AI Chatbot ----------
   document.getElementById('chatbotUploadBtn').addEventListener('click', ()=> document.getElementById('chatbotFileInput').click());
@@ -3859,16 +6691,32 @@ class ModernDropzone {
   // Run OCR
   async function runOcr(){
     if(!ocrFile) { Swal.fire('No file','Upload a file for OCR','info'); return; }
+    const abort = new AbortController();
+    let recognized = false;
     try{
       showOverlay('Running OCR...');
-      loaderProgress.textContent = 'Processing file';
+      loaderProgress.textContent = 'Loading OCR engine';
+      setOverlayCancel(() => abort.abort());
       processingStartTime = Date.now();
-      const text = await batchProcessor.performOCR(ocrFile);
-      document.getElementById('ocrText').value = text;
+      const {results, cancelled, elapsed, workers} = await batchProcessor.recognizePages(ocrFile, {
+        pages: parsePages(document.getElementById('ocrPages').value).filter(n => !isNaN(n)),
+        signal: abort.signal,
+        onProgress: ({pageNum, done, total}) => {
+          loaderProgress.textContent = total > 1 ? `Recognized page ${pageNum} (${done} / ${total})` : 'Processing file';
+        }
+      });
+      const text = batchProcessor.ocrText(results, ocrFile);
+      document.getElementById('ocrText').value = ocrTextWritten = text;
+      lastOcr = results.length ? {file: ocrFile, results} : null;
+      document.getElementById('ocrExportPdf').disabled = !lastOcr;
+      recognized = true;
       processingTimes.push(Date.now() - processingStartTime);
       totalProcessed++;
       updateCounters();
-      hideOverlay(); toastSuccess('OCR completed');
+      hideOverlay();
+      const seconds = ((Date.now() - processingStartTime) / 1000).toFixed(1);
+      if(cancelled) toastError(`OCR cancelled after ${results.length} page(s)`);
+      else toastSuccess(`OCR completed: ${results.length} page(s) in ${seconds}s`);
       playSound('complete');
 
       // Add log entry (only if logs is available)
@@ -3876,10 +6724,15 @@ class ModernDropzone {
         addLog({
           timestamp: new Date().toISOString(),
           action: 'OCR',
-          file: file.name,
+          file: ocrFile.name,
           status: 'success',
           processing_time: Date.now() - processingStartTime,
-          text_length: text.length
+          text_length: text.length,
+          pages: results.length,
+          workers,
+          ocr_time: Math.round(elapsed),
+          detail: `${results.length} page(s) in ${(elapsed / 1000).toFixed(1)}s on ${workers} worker(s)` +
+            (results.length ? `, ${(elapsed / 1000 / results.length).toFixed(2)}s/page` : '')
         });
       }
     } catch(err){
@@ -3899,6 +6752,410 @@ class ModernDropzone {
         });
       }
     }
+
+    // A review that fails to draw must not turn a finished OCR run into a failed one
+    if(recognized){
+      try{
+        await openOcrReview();
+      } catch(err){
+        console.error('OCR review error:', err);
+        toastError('Could not show the OCR review: ' + err.message);
+      }
+    }
+  }
+
+  // ---------- OCR Preprocessing ----------
+  // Optional clean-up applied to each page image before recognition, in a fixed order:
+  // upscale, grayscale, contrast stretch, denoise, deskew, adaptive binarization. Every step
+  // after upscaling works on a grayscale copy. Word boxes are mapped back to the original
+  // image so the review and the searchable PDF line up with the unprocessed scan.
+  const OCR_TARGET_SCALE = 2;          // upscale factor, roughly 144 DPI renders to ~300 DPI
+  const OCR_MAX_SIDE = 5000;           // px, upper bound for upscaled images
+  const OCR_MAX_SKEW = 5;              // degrees searched either way when deskewing
+  const ocrPreprocessInputs = Array.from(document.querySelectorAll('#ocrPreprocess input[type="checkbox"]'));
+  const savedOcrSteps = (localStorage.getItem('pdftk.ocrPreprocess') || '').split(',');
+  ocrPreprocessInputs.forEach(input => {
+    input.checked = savedOcrSteps.includes(input.value);
+    input.addEventListener('change', ()=> {
+      localStorage.setItem('pdftk.ocrPreprocess', ocrPreprocessSteps().join(','));
+      if(document.getElementById('ocrPreprocessPreview').style.display !== 'none') previewOcrPreprocess();
+    });
+  });
+  document.getElementById('ocrPreviewBtn').addEventListener('click', ()=> previewOcrPreprocess());
+
+  function ocrPreprocessSteps(){
+    return ocrPreprocessInputs.filter(input => input.checked).map(input => input.value);
+  }
+
+  async function previewOcrPreprocess(){
+    if(!ocrFile) { Swal.fire('No file','Upload a file for OCR','info'); return; }
+    const pages = parsePages(document.getElementById('ocrPages').value).filter(n => !isNaN(n));
+    try{
+      // An empty page list means every page to ocrImages, so always name the one page to preview
+      for await (const {image} of batchProcessor.ocrImages(ocrFile, [pages[0] || 1])){
+        const before = document.getElementById('ocrPreviewBefore');
+        before.width = image.width;
+        before.height = image.height;
+        before.getContext('2d').drawImage(image, 0, 0);
+        const steps = ocrPreprocessSteps();
+        const {canvas, angle} = preprocessOcrImage(image, steps);
+        const after = document.getElementById('ocrPreviewAfter');
+        after.width = canvas.width;
+        after.height = canvas.height;
+        after.getContext('2d').drawImage(canvas, 0, 0);
+        document.getElementById('ocrPreviewAfterCaption').textContent = steps.length
+          ? `After (${canvas.width}×${canvas.height}px${angle ? `, deskewed ${angle.toFixed(2)}°` : ''})`
+          : 'After (no steps selected)';
+        break;
+      }
+      document.getElementById('ocrPreprocessPreview').style.display = '';
+    } catch(err){
+      toastError('Preview failed: ' + err.message);
+    }
+  }
+
+  // Returns the processed canvas, the deskew angle and toSource(x, y) mapping processed pixels back
+  function preprocessOcrImage(image, steps){
+    const has = step => steps.includes(step);
+    const factor = has('upscale') ? Math.min(OCR_TARGET_SCALE, OCR_MAX_SIDE / Math.max(image.width, image.height)) : 1;
+    const scale = factor > 1.05 ? factor : 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const pctx = canvas.getContext('2d', {willReadFrequently: true});
+    pctx.imageSmoothingQuality = 'high';
+    pctx.fillStyle = '#fff';
+    pctx.fillRect(0, 0, canvas.width, canvas.height);
+    pctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const {width: w, height: h} = canvas;
+    let angle = 0;
+    if(steps.some(step => step !== 'upscale')){
+      const data = pctx.getImageData(0, 0, w, h);
+      let gray = toGray(data.data);
+      if(has('contrast')) stretchContrast(gray);
+      if(has('denoise')) gray = medianFilter(gray, w, h);
+      if(has('deskew')) angle = estimateSkew(gray, w, h);
+      if(angle){
+        putGray(data, gray);
+        pctx.putImageData(data, 0, 0);
+        rotateCanvas(canvas, angle);
+        gray = toGray(pctx.getImageData(0, 0, w, h).data);
+      }
+      if(has('binarize')) binarize(gray, w, h);
+      putGray(data, gray);
+      pctx.putImageData(data, 0, 0);
+    }
+
+    const rad = angle * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+    const toSource = (x, y) => {
+      const dx = x - w / 2, dy = y - h / 2;
+      const ux = angle ? dx * cos + dy * sin : dx;
+      const uy = angle ? -dx * sin + dy * cos : dy;
+      return [(ux + w / 2) / scale, (uy + h / 2) / scale];
+    };
+    return {canvas, angle, toSource};
+  }
+
+  // Axis-aligned box around the four mapped corners
+  function mapOcrBox(bbox, toSource){
+    const corners = [[bbox.x0, bbox.y0], [bbox.x1, bbox.y0], [bbox.x0, bbox.y1], [bbox.x1, bbox.y1]].map(([x, y]) => toSource(x, y));
+    const xs = corners.map(c => c[0]), ys = corners.map(c => c[1]);
+    return {x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys)};
+  }
+
+  function toGray(rgba){
+    const gray = new Uint8ClampedArray(rgba.length / 4);
+    for(let i = 0, j = 0; j < gray.length; i += 4, j++){
+      gray[j] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    }
+    return gray;
+  }
+
+  function putGray(imageData, gray){
+    const rgba = imageData.data;
+    for(let i = 0, j = 0; j < gray.length; i += 4, j++){
+      rgba[i] = rgba[i + 1] = rgba[i + 2] = gray[j];
+      rgba[i + 3] = 255;
+    }
+  }
+
+  // Maps the 1st..99th percentile onto the full 0..255 range
+  function stretchContrast(gray){
+    const hist = new Uint32Array(256);
+    gray.forEach(v => hist[v]++);
+    const cut = gray.length * 0.01;
+    let lo = 0, hi = 255, acc = 0;
+    while(lo < 255 && (acc += hist[lo]) < cut) lo++;
+    acc = 0;
+    while(hi > 0 && (acc += hist[hi]) < cut) hi--;
+    if(hi <= lo) return;
+    const range = hi - lo;
+    for(let i = 0; i < gray.length; i++) gray[i] = (gray[i] - lo) * 255 / range;
+  }
+
+  // 3×3 median removes speckle without blurring glyph edges the way a box blur would
+  // Compare-exchange pairs of Paeth's 9-element median network; win[4] ends up the median
+  const MEDIAN9_NETWORK = [1,2, 4,5, 7,8, 0,1, 3,4, 6,7, 1,2, 4,5, 7,8, 0,3, 5,8, 4,7, 3,6, 1,4, 2,5, 4,7, 4,2, 6,4, 4,2];
+
+  function medianFilter(gray, w, h){
+    const out = new Uint8ClampedArray(gray);
+    const win = new Uint8Array(9);
+    const net = MEDIAN9_NETWORK;
+    for(let y = 1; y < h - 1; y++){
+      for(let x = 1; x < w - 1; x++){
+        let k = 0;
+        for(let dy = -1; dy <= 1; dy++){
+          const row = (y + dy) * w + x;
+          win[k++] = gray[row - 1]; win[k++] = gray[row]; win[k++] = gray[row + 1];
+        }
+        for(let i = 0; i < net.length; i += 2){
+          const a = win[net[i]], b = win[net[i + 1]];
+          if(a > b){ win[net[i]] = b; win[net[i + 1]] = a; }
+        }
+        out[y * w + x] = win[4];
+      }
+    }
+    return out;
+  }
+
+  // Projection profile: text lines give the sharpest row histogram of dark pixels when level.
+  // Returns the rotation in degrees that levels the page.
+  function estimateSkew(gray, w, h){
+    let sum = 0;
+    for(let i = 0; i < gray.length; i++) sum += gray[i];
+    const threshold = (sum / gray.length) * 0.75;
+    const step = Math.max(1, Math.round(Math.sqrt(w * h / 40000)));
+    const points = [];
+    for(let y = 0; y < h; y += step){
+      for(let x = 0; x < w; x += step){
+        if(gray[y * w + x] < threshold) points.push(x - w / 2, y - h / 2);
+      }
+    }
+    if(points.length < 200) return 0;
+    const diag = Math.ceil(Math.hypot(w, h));
+    const rows = new Uint32Array(diag);
+    let best = 0, bestScore = -1;
+    for(let deg = -OCR_MAX_SKEW; deg <= OCR_MAX_SKEW; deg += 0.25){
+      const rad = deg * Math.PI / 180, sin = Math.sin(rad), cos = Math.cos(rad);
+      rows.fill(0);
+      for(let i = 0; i < points.length; i += 2){
+        const ry = Math.round(points[i] * sin + points[i + 1] * cos + diag / 2);
+        if(ry >= 0 && ry < diag) rows[ry]++;
+      }
+      let score = 0;
+      for(let r = 0; r < diag; r++) score += rows[r] * rows[r];
+      if(score > bestScore){ bestScore = score; best = deg; }
+    }
+    return Math.abs(best) < 0.1 ? 0 : best;
+  }
+
+  // Rotates the canvas contents about its centre, filling the uncovered corners with white
+  function rotateCanvas(canvas, deg){
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+    const rctx = canvas.getContext('2d');
+    rctx.save();
+    rctx.fillStyle = '#fff';
+    rctx.fillRect(0, 0, canvas.width, canvas.height);
+    rctx.translate(canvas.width / 2, canvas.height / 2);
+    rctx.rotate(deg * Math.PI / 180);
+    rctx.drawImage(copy, -canvas.width / 2, -canvas.height / 2);
+    rctx.restore();
+  }
+
+  // Bradley–Roth adaptive threshold: a pixel is ink when it is clearly darker than the mean
+  // of its neighbourhood, which copes with shadows and uneven lighting on phone photos
+  function binarize(gray, w, h){
+    // Float64: gray sums pass 2^32 at about 16.8 MP, well under an upscaled phone photo
+    const integral = new Float64Array((w + 1) * (h + 1));
+    for(let y = 0; y < h; y++){
+      let rowSum = 0;
+      for(let x = 0; x < w; x++){
+        rowSum += gray[y * w + x];
+        integral[(y + 1) * (w + 1) + x + 1] = integral[y * (w + 1) + x + 1] + rowSum;
+      }
+    }
+    const half = Math.max(8, Math.round(Math.max(w, h) / 80));
+    for(let y = 0; y < h; y++){
+      const y0 = Math.max(0, y - half), y1 = Math.min(h, y + half + 1);
+      for(let x = 0; x < w; x++){
+        const x0 = Math.max(0, x - half), x1 = Math.min(w, x + half + 1);
+        const area = (x1 - x0) * (y1 - y0);
+        const total = integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1] - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+        gray[y * w + x] = gray[y * w + x] * area < total * 0.85 ? 0 : 255;
+      }
+    }
+  }
+
+  // ---------- OCR Review ----------
+  // Shows one recognized page with every word under the confidence threshold outlined.
+  // Corrections are written back into the stored words, so both the text output and the
+  // searchable PDF export pick them up.
+  const ocrReview = document.getElementById('ocrReview');
+  const ocrReviewPage = document.getElementById('ocrReviewPage');
+  const ocrReviewView = document.getElementById('ocrReviewView');
+  const ocrConfidence = document.getElementById('ocrConfidence');
+  ocrReviewPage.addEventListener('change', ()=> renderOcrReviewPage());
+  ocrConfidence.addEventListener('input', ()=> {
+    document.getElementById('ocrConfidenceValue').textContent = ocrConfidence.value;
+    drawOcrWordBoxes();
+  });
+
+  async function openOcrReview(){
+    ocrReview.style.display = lastOcr ? '' : 'none';
+    if(!lastOcr) return;
+    ocrReviewPage.innerHTML = lastOcr.results.map((r, idx) => `<option value="${idx}">Page ${r.pageNum}</option>`).join('');
+    await renderOcrReviewPage();
+  }
+
+  // Page images are not kept after OCR (a long scan would hold hundreds of megabytes), so the
+  // reviewed page is rendered again exactly as it was for recognition
+  async function renderOcrReviewPage(){
+    const result = lastOcr.results[Number(ocrReviewPage.value) || 0];
+    const pageEl = document.createElement('div');
+    pageEl.className = 'ocr-review-page';
+    for await (const {image} of batchProcessor.ocrImages(lastOcr.file, [result.pageNum])){
+      const c = document.createElement('canvas');
+      c.width = image.width;
+      c.height = image.height;
+      c.getContext('2d').drawImage(image, 0, 0);
+      pageEl.appendChild(c);
+    }
+    ocrReviewView.innerHTML = '';
+    ocrReviewView.appendChild(pageEl);
+    drawOcrWordBoxes();
+  }
+
+  function drawOcrWordBoxes(){
+    const pageEl = ocrReviewView.querySelector('.ocr-review-page');
+    if(!lastOcr || !pageEl) return;
+    const result = lastOcr.results[Number(ocrReviewPage.value) || 0];
+    const threshold = Number(ocrConfidence.value);
+    pageEl.querySelectorAll('.ocr-word').forEach(el => el.remove());
+    const flagged = result.words.filter(w => w.corrected || w.confidence < threshold);
+    flagged.forEach(word => {
+      const {x0, y0, x1, y1} = word.bbox;
+      const box = document.createElement('div');
+      box.className = 'ocr-word' + (word.corrected ? ' corrected' : '');
+      // Percentages keep the boxes on their words however the page image is scaled
+      Object.assign(box.style, {
+        left: (x0 / result.width * 100) + '%',
+        top: (y0 / result.height * 100) + '%',
+        width: ((x1 - x0) / result.width * 100) + '%',
+        height: ((y1 - y0) / result.height * 100) + '%'
+      });
+      box.title = `${word.text} (${Math.round(word.confidence)}%)`;
+      box.addEventListener('click', ()=> correctOcrWord(result, word));
+      pageEl.appendChild(box);
+    });
+    const pending = flagged.filter(w => !w.corrected).length;
+    document.getElementById('ocrReviewCount').textContent = `${pending} word(s) to review on this page`;
+  }
+
+  async function correctOcrWord(result, word){
+    const {value, isConfirmed} = await Swal.fire({
+      title: 'Correct word',
+      text: `Recognized with ${Math.round(word.confidence)}% confidence`,
+      input: 'text',
+      inputValue: word.text,
+      showCancelButton: true,
+      confirmButtonText: 'Save'
+    });
+    if(!isConfirmed) return;
+    const text = value.trim();
+    if(!text){ toastError('A word cannot be empty'); return; }
+    word.text = text;
+    word.corrected = true;
+    result.text = batchProcessor.ocrWordsText(result.words);
+    const textarea = document.getElementById('ocrText');
+    // Once the user has edited the text box it is theirs; the correction still reaches the PDF export
+    if(textarea.value === ocrTextWritten){
+      textarea.value = ocrTextWritten = batchProcessor.ocrText(lastOcr.results, lastOcr.file);
+    } else {
+      toastSuccess('Correction saved; your edits in the text box were kept');
+    }
+    drawOcrWordBoxes();
+  }
+
+  // Searchable PDF: the scan stays as it is and every recognized word is drawn over it
+  // as invisible text (rendering mode 3), so readers can search and copy it.
+  async function exportSearchablePdf(){
+    if(!lastOcr) { Swal.fire('No OCR result','Run OCR first','info'); return; }
+    const {file, results} = lastOcr;
+    try{
+      showOverlay('Building searchable PDF...');
+      processingStartTime = Date.now();
+      const bytes = await file.arrayBuffer();
+      let pdfDoc, placeWords;
+      if(file.type === 'application/pdf'){
+        // Original pages are reused untouched; only a text layer is appended to each
+        pdfDoc = await PDFLib.PDFDocument.load(bytes);
+        const pages = pdfDoc.getPages();
+        placeWords = (r, font) => drawInvisibleWords(pages[r.pageNum - 1], font, r.words, (x, y) => r.viewport.convertToPdfPoint(x, y));
+      } else {
+        pdfDoc = await PDFLib.PDFDocument.create();
+        const image = await embedScanImage(pdfDoc, file, bytes);
+        const page = pdfDoc.addPage([image.width, image.height]);
+        page.drawImage(image, {x: 0, y: 0, width: image.width, height: image.height});
+        placeWords = (r, font) => drawInvisibleWords(page, font, r.words,
+          (x, y) => [x * image.width / r.width, image.height - y * image.height / r.height]);
+      }
+      const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+      results.forEach((r, idx) => {
+        loaderProgress.textContent = `Page ${r.pageNum} (${idx + 1} / ${results.length})`;
+        placeWords(r, font);
+      });
+      const out = await pdfDoc.save();
+      saveAs(new Blob([out], {type: 'application/pdf'}), file.name.replace(/\.[^.]+$/, '') + '-searchable.pdf');
+      processingTimes.push(Date.now() - processingStartTime);
+      totalProcessed++;
+      updateCounters();
+      hideOverlay(); toastSuccess('Searchable PDF saved');
+      playSound('complete');
+    } catch(err){
+      hideOverlay(); toastError('Searchable PDF failed: ' + err.message);
+      errorsCount++;
+      updateCounters();
+    }
+  }
+
+  // PNG and JPEG scans are embedded byte for byte; other formats are re-encoded losslessly as PNG
+  async function embedScanImage(pdfDoc, file, bytes){
+    if(file.type === 'image/png') return pdfDoc.embedPng(bytes);
+    if(file.type === 'image/jpeg') return pdfDoc.embedJpg(bytes);
+    const bitmap = await createImageBitmap(file);
+    const c = document.createElement('canvas');
+    c.width = bitmap.width;
+    c.height = bitmap.height;
+    c.getContext('2d').drawImage(bitmap, 0, 0);
+    const png = await new Promise(resolve => c.toBlob(resolve, 'image/png'));
+    return pdfDoc.embedPng(await png.arrayBuffer());
+  }
+
+  // Each word gets a text matrix that stretches it over its OCR box: the baseline runs
+  // along the bottom edge and the font size equals the box height. toPdf maps image
+  // pixels to PDF user space, which also takes care of rotated pages.
+  function drawInvisibleWords(page, font, words, toPdf){
+    const {PDFOperator, PDFOperatorNames: Ops, PDFNumber} = PDFLib;
+    const op = (name, ...nums) => PDFOperator.of(name, nums.map(n => PDFNumber.of(n)));
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    const ops = [PDFLib.pushGraphicsState(), PDFLib.beginText(), op(Ops.SetTextRenderingMode, 3), PDFLib.setFontAndSize(fontKey, 1)];
+    for(const word of words){
+      const text = winAnsiSafe(font, word.text.trim());
+      const natural = text ? font.widthOfTextAtSize(text, 1) : 0;
+      if(!natural) continue;
+      const {x0, y0, x1, y1} = word.bbox;
+      const [ox, oy] = toPdf(x0, y1);
+      const [rx, ry] = toPdf(x1, y1);
+      const [ux, uy] = toPdf(x0, y0);
+      ops.push(op(Ops.SetTextMatrix, (rx - ox) / natural, (ry - oy) / natural, ux - ox, uy - oy, ox, oy));
+      ops.push(PDFLib.showText(font.encodeText(text)));
+    }
+    ops.push(PDFLib.endText(), PDFLib.popGraphicsState());
+    page.pushOperators(...ops);
   }
 
   // Add Signature
@@ -3935,29 +7192,27 @@ class ModernDropzone {
 
   // Search PDF
   async function searchPdf(){
-    if(!searchPdfFile) { Swal.fire('No PDF','Upload a PDF to search','info'); return; }
     const term = document.getElementById('searchTerm').value;
     if(!term) { Swal.fire('No term','Enter search term','info'); return; }
     try{
-      showOverlay('Searching PDF...');
+      if(!(await idbGetAll('searchDocs')).length) { Swal.fire('Nothing indexed','Add PDFs to search first','info'); return; }
+      showOverlay('Searching PDFs...');
       processingStartTime = Date.now();
-      const arr = await searchPdfFile.arrayBuffer();
-      const pdfJsDoc = await pdfjsLib.getDocument({data: arr}).promise;
-      const results = [];
-      for(let i=1; i<=pdfJsDoc.numPages; i++){
-        const page = await pdfJsDoc.getPage(i);
-        const content = await page.getTextContent();
-        const text = content.items.map(it => it.str).join(' ');
-        if(text.toLowerCase().includes(term.toLowerCase())){
-          results.push(`Page ${i}: ${text.substring(0,100)}...`);
-        }
+      let hits;
+      try{
+        hits = await findSearchHits(term, searchOptions());
+      } catch(err){
+        if(!(err instanceof SyntaxError)) throw err;
+        hideOverlay(); Swal.fire('Invalid pattern', err.message, 'error');
+        return;
       }
-      const resultsDiv = document.getElementById('searchResults');
-      resultsDiv.innerHTML = results.length ? results.map(r => `<div>${r}</div>`).join('') : 'No matches found';
+      lastSearchHits = hits;
+      document.getElementById('searchExportCsv').disabled = !hits.length;
+      renderSearchHits(hits);
       processingTimes.push(Date.now() - processingStartTime);
       totalProcessed++;
       updateCounters();
-      hideOverlay(); toastSuccess('Search completed');
+      hideOverlay(); toastSuccess(`Search completed: ${hits.length} match(es)`);
       playSound('complete');
     } catch(err){
       hideOverlay(); toastError('Search failed: '+err.message);
@@ -4845,21 +8100,242 @@ class ModernDropzone {
     saveAs(blob, 'ai_summary.txt');
   }
 
+  // ---------- IndexedDB Storage ----------
+  const DB_NAME = 'pdftk';
+  const DB_VERSION = 3;
+  let dbPromise = null;
+
+  function openDb(){
+    if(dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if(!window.indexedDB) { reject(new Error('IndexedDB is not available')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // Per-document viewer position, keyed by content hash
+        if(!db.objectStoreNames.contains('viewerState')) db.createObjectStore('viewerState', {keyPath: 'hash'});
+        // Blobs or file handles behind the Recent dialog
+        if(!db.objectStoreNames.contains('recentFiles')) db.createObjectStore('recentFiles', {keyPath: 'id'});
+        // Full-text search index: documents, page texts and [term, page] postings
+        if(!db.objectStoreNames.contains('searchDocs')) db.createObjectStore('searchDocs', {keyPath: 'hash'});
+        if(!db.objectStoreNames.contains('searchPages')) db.createObjectStore('searchPages', {keyPath: 'id'});
+        if(!db.objectStoreNames.contains('searchPostings')) db.createObjectStore('searchPostings', {keyPath: ['term', 'id']});
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run one request against a store and resolve with its result
+  async function idbRequest(storeName, mode, makeRequest){
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Several writes across stores that must land together
+  async function idbTransaction(storeNames, mode, fill){
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      fill(tx);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function idbGet(storeName, key){ return idbRequest(storeName, 'readonly', store => store.get(key)); }
+  function idbGetAll(storeName, query){ return idbRequest(storeName, 'readonly', store => store.getAll(query)); }
+  function idbPut(storeName, value){ return idbRequest(storeName, 'readwrite', store => store.put(value)); }
+  function idbDelete(storeName, key){ return idbRequest(storeName, 'readwrite', store => store.delete(key)); }
+
+  // Hex SHA-256 of file bytes; falls back to FNV-1a where SubtleCrypto is unavailable (insecure origins)
+  async function hashBytes(bytes){
+    if(window.crypto && crypto.subtle){
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let h = 0x811c9dc5;
+    for(let i=0;i<view.length;i++){ h ^= view[i]; h = Math.imul(h, 0x01000193); }
+    return 'fnv-' + (h >>> 0).toString(16) + '-' + view.length;
+  }
+
+  function escapeHtml(str){
+    return String(str).replace(/[&<>"']/g, ch => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[ch]));
+  }
+
   // ---------- Recent Files localStorage ----------
-  function storeRecentFiles(files){
-    const items = files.map(f => ({name:f.name, size:f.size, type:f.type, time: Date.now()}));
-    recentFiles = (items.concat(recentFiles)).slice(0,10);
+  // The list lives in localStorage; the bytes (or a file handle) live in IndexedDB so entries can be reopened.
+  const RECENT_LIMIT = 10;
+  const DEFAULT_RECENT_QUOTA_MB = 200;
+
+  function recentFileId(f){
+    return `${f.name}:${f.size}:${f.lastModified || 0}`;
+  }
+
+  // A stored 0 is a real setting: it turns off keeping file copies
+  function recentQuotaBytes(){
+    const stored = localStorage.getItem('pdftk.recentQuotaMB');
+    const mb = stored === null || stored === '' ? NaN : Number(stored);
+    return (Number.isNaN(mb) ? DEFAULT_RECENT_QUOTA_MB : mb) * 1024 * 1024;
+  }
+
+  function storeRecentFiles(files, hashes = []){
+    const items = files.slice(0, RECENT_LIMIT).map((f, i) => {
+      const id = recentFileId(f);
+      const existing = recentFiles.find(r => r.id === id);
+      return {id, name:f.name, size:f.size, type:f.type, time: Date.now(), hash: hashes[i] || (existing && existing.hash) || null};
+    });
+    const ids = new Set(items.map(i => i.id));
+    recentFiles = items.concat(recentFiles.filter(r => !ids.has(r.id))).slice(0, RECENT_LIMIT);
     localStorage.setItem('pdftk.recent', JSON.stringify(recentFiles));
+    persistRecentFiles(files.slice(0, RECENT_LIMIT));
+  }
+
+  async function persistRecentFiles(files){
+    try{
+      const quota = recentQuotaBytes();
+      for(const f of files){
+        const handle = fileHandles.get(f) || null;
+        await idbPut('recentFiles', {
+          id: recentFileId(f),
+          name: f.name,
+          size: f.size,
+          type: f.type,
+          lastModified: f.lastModified || Date.now(),
+          time: Date.now(),
+          handle,
+          // A handle is enough to reopen; files larger than the whole quota are never copied
+          blob: handle || f.size > quota ? null : f
+        });
+      }
+      await enforceRecentQuota();
+    } catch(err){
+      console.warn('Could not keep recent files for reopening:', err);
+    }
+  }
+
+  // Least-recently-used eviction: drop entries no longer listed, then the
+  // stored bytes of the oldest entries until the total fits the quota.
+  async function enforceRecentQuota(){
+    const quota = recentQuotaBytes();
+    const listed = new Set(recentFiles.map(r => r.id));
+    const entries = (await idbGetAll('recentFiles')).sort((a, b) => b.time - a.time);
+    let used = 0;
+    for(const entry of entries){
+      if(!listed.has(entry.id)){ await idbDelete('recentFiles', entry.id); continue; }
+      if(!entry.blob) continue;
+      if(used + entry.size > quota){
+        entry.blob = null;
+        await idbPut('recentFiles', entry);
+      } else {
+        used += entry.size;
+      }
+    }
+    return used;
+  }
+
+  async function reopenRecentFile(id, tool){
+    try{
+      const entry = await idbGet('recentFiles', id);
+      let file = null;
+      if(entry && entry.handle){
+        const opts = {mode: 'read'};
+        if(await entry.handle.queryPermission(opts) !== 'granted' && await entry.handle.requestPermission(opts) !== 'granted'){
+          throw new Error('Permission to read the file was denied');
+        }
+        file = await entry.handle.getFile();
+        fileHandles.set(file, entry.handle);
+      } else if(entry && entry.blob){
+        file = new File([entry.blob], entry.name, {type: entry.type, lastModified: entry.lastModified});
+      }
+      if(!file){ toastError('This file is no longer stored — open it again from disk'); return false; }
+      Swal.close();
+      await openFileInTool(file, tool);
+      return true;
+    } catch(err){
+      toastError('Could not reopen file: ' + err.message);
+      return false;
+    }
+  }
+
+  // Switch to a tool and hand it the file through its own file input
+  async function openFileInTool(file, tool){
+    const navBtn = document.querySelector(`#toolNav button[data-tool="${tool}"]`);
+    if(navBtn) navBtn.click();
+    if(tool === 'viewer'){ await openInViewer(file); return; }
+    const input = document.querySelector(`#${tool} input[type="file"]`);
+    if(!input){ toastError('This tool does not take a file'); return; }
+    const dt = new DataTransfer();
+    dt.items.add(file);
+    input.files = dt.files;
+    input.dispatchEvent(new Event('change', {bubbles: true}));
   }
-  document.getElementById('recentBtn').addEventListener('click', ()=> {
+
+  // Tools in the sidebar that take a file through an input of their own
+  function fileTools(){
+    return Array.from(document.querySelectorAll('#toolNav button[data-tool]'))
+      .filter(btn => btn.dataset.tool === 'viewer' || document.querySelector(`#${btn.dataset.tool} input[type="file"]`))
+      .map(btn => ({tool: btn.dataset.tool, label: btn.textContent.trim()}));
+  }
+
+  document.getElementById('recentBtn').addEventListener('click', async ()=> {
     if(recentFiles.length===0) return Swal.fire('No recent files','You have not uploaded files yet.','info');
-    const html = recentFiles.map(r => `<div style="display:flex;justify-content:space-between;padding:6px 0"><div>${r.name}</div><div class="muted">${(r.size/1024/1024).toFixed(2)} MB</div></div>`).join('');
-    Swal.fire({title:'Recent', html: html, width:600});
+    const [states, stored] = await Promise.all([
+      Promise.all(recentFiles.map(r => r.hash ? loadViewerState(r.hash) : null)),
+      idbGetAll('recentFiles').catch(() => [])
+    ]);
+    const storedById = new Map(stored.map(e => [e.id, e]));
+    const toolOptions = fileTools().map(t => `<option value="${t.tool}">${escapeHtml(t.label)}</option>`).join('');
+    const used = stored.reduce((sum, e) => sum + (e.blob ? e.size : 0), 0);
+    const rows = recentFiles.map((r, i) => {
+      const st = states[i];
+      const entry = storedById.get(r.id);
+      const canReopen = entry && (entry.blob || entry.handle);
+      const position = st ? `Page ${st.page}${st.totalPages ? ' of ' + st.totalPages : ''} · ${Math.round(st.scale*100)}%` : '';
+      const actions = canReopen
+        ? `<select class="recent-tool" data-id="${escapeHtml(r.id)}" style="margin:0;padding:4px 6px"><option value="">Open in…</option>${toolOptions}</select>
+           <button class="btn small recent-open" data-id="${escapeHtml(r.id)}">Open</button>`
+        : '<span class="muted small">Not stored</span>';
+      return `<div style="display:flex;justify-content:space-between;align-items:center;gap:12px;padding:6px 0">
+        <div style="text-align:left;min-width:0"><div style="overflow:hidden;text-overflow:ellipsis">${escapeHtml(r.name)}</div>
+        <div class="muted">${position ? position + ' · ' : ''}${(r.size/1024/1024).toFixed(2)} MB</div></div>
+        <div style="display:flex;gap:6px;align-items:center;flex-shrink:0">${actions}</div></div>`;
+    }).join('');
+    const quotaMb = Math.round(recentQuotaBytes() / 1024 / 1024);
+    const html = `${rows}
+      <div class="muted" style="display:flex;align-items:center;justify-content:flex-end;gap:8px;margin-top:12px">
+        Keep up to <input id="recentQuota" type="number" min="0" step="50" value="${quotaMb}" style="width:90px;margin:0;padding:4px 6px"> MB
+        (${(used/1024/1024).toFixed(1)} MB used)
+      </div>`;
+    Swal.fire({
+      title:'Recent',
+      html: html,
+      width:700,
+      didOpen: (popup) => {
+        popup.querySelectorAll('.recent-open').forEach(btn => btn.addEventListener('click', ()=> reopenRecentFile(btn.dataset.id, 'viewer')));
+        popup.querySelectorAll('.recent-tool').forEach(sel => sel.addEventListener('change', ()=> { if(sel.value) reopenRecentFile(sel.dataset.id, sel.value); }));
+        popup.querySelector('#recentQuota').addEventListener('change', async (e)=> {
+          localStorage.setItem('pdftk.recentQuotaMB', Math.max(0, Number(e.target.value) || 0));
+          await enforceRecentQuota();
+          toastSuccess('Recent files storage limit updated');
+        });
+      }
+    });
   });
 
   // ---------- Utility: keyboard shortcuts ----------
   document.addEventListener('keydown', (e)=> {
-    if(e.key==='/' && (e.ctrlKey||e.metaKey)){ e.preventDefault(); document.getElementById('globalFileInput').click(); }
+    if(e.key==='/' && (e.ctrlKey||e.metaKey)){ e.preventDefault(); chooseGlobalFiles(); }
   });
 
   // Authentication Functions
@@ -5120,8 +8596,8 @@ class ModernDropzone {
 
   // Override file upload functions to track stats
   const originalStoreRecentFiles = storeRecentFiles;
-  storeRecentFiles = async (files) => {
-    originalStoreRecentFiles(files);
+  storeRecentFiles = async (files, hashes) => {
+    originalStoreRecentFiles(files, hashes);
     for (const file of files) {
       await updateUserStats('upload');
       await recordFileUpload(file.name, file.size, 'upload');
@@ -5235,6 +8711,7 @@ class ModernDropzone {
 
     logDiv.style.color = color;
     logDiv.textContent = `[${log.timestamp}] ${log.action} - ${log.file} - ${log.status}`;
+    if (log.detail) logDiv.textContent += ` - ${log.detail}`;
     if (log.error) logDiv.textContent += ` - ${log.error}`;
 
     liveLogs.appendChild(logDiv);